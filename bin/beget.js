@@ -4,85 +4,227 @@ import { createInterface } from 'node:readline/promises';
 import { stdin as input, stdout as output, stderr } from 'node:process';
 import fs from 'node:fs/promises';
 import fssync from 'node:fs';
-import os from 'node:os';
+import crypto from 'node:crypto';
 import path from 'node:path';
-import { URLSearchParams } from 'node:url';
+import net from 'node:net';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { spawnSync } from 'node:child_process';
+import YAML from 'yaml';
+import { BegetClient, BegetError, BegetApiError, EXIT, API_METHODS, isMutatingMethod } from '../lib/index.js';
+import { CONFIG_VERSION, DEFAULT_SESSION_TTL, ensureParentSecure, getConfigPath, readConfig, writeConfig, loadProfile, encryptSecret, decryptSecret, createVault, profileAad, vaultSessionPath, writeVaultSession, unlockVaultWithPassphrase, getVaultKey } from '../lib/config.js';
+import { DEFAULT_RETRIES, DEFAULT_RETRY_MAX_DELAY, DEFAULT_RATE_LIMIT, redactSecrets, sleep } from '../lib/transport.js';
 
-const EXIT = { OK: 0, GENERIC_ERROR: 1, USAGE_ERROR: 2, AUTH_ERROR: 3, API_ERROR: 4, CONFIG_ERROR: 5, NETWORK_ERROR: 6 };
+const DEFAULT_CACHE_TTL = 600;
+const batchContext = new AsyncLocalStorage();
+const NAGIOS = { OK: 0, WARNING: 1, CRITICAL: 2, UNKNOWN: 3 };
 
-class CliError extends Error {
-  constructor(message, code = EXIT.GENERIC_ERROR, details = undefined) {
-    super(message);
-    this.code = code;
-    this.details = details;
+const OUTPUT_FORMATS = ['table', 'json', 'yaml', 'csv', 'tsv'];
+
+const LIST_COLUMNS = {
+  profiles: ['active', 'name', 'login', 'encrypted'],
+  domains: ['id', 'fqdn', 'date_add', 'date_expire', 'auto_renew'],
+  subdomains: ['id', 'fqdn', 'domain_id'],
+  directives: ['name', 'value'],
+  ftp: ['login', 'path'],
+  mailboxes: ['mailbox', 'domain', 'spam_filter_status', 'spam_filter', 'forward_mail_status'],
+  forwards: ['forward_mailbox'],
+  mysql: ['name', 'size', { key: 'accesses', get: (r) => asList(r.accesses).map((a) => a?.access ?? a).join(',') }],
+  backups: ['backup_id', 'date'],
+  backupFiles: ['name', 'is_dir', 'mtime', 'size'],
+  backupLog: ['id', 'operation', 'type', 'date_create', 'target_list', 'status'],
+  cron: ['row_number', 'minutes', 'hours', 'days', 'months', 'weekdays', 'command', 'is_hidden'],
+  sites: ['id', 'path', { key: 'domains', get: (r) => asList(r.domains).map((d) => d?.fqdn ?? d).join(',') }],
+  dnsChanges: ['op', 'type', 'value', 'priority'],
+  planActions: ['op', 'kind', 'name', 'detail', 'section', 'method'],
+  drift: ['op', 'kind', 'key', 'field', 'from', 'to'],
+  history: ['id', 'time', 'profile', 'login', { key: 'method', get: (r) => `${r.section}/${r.method}` }, { key: 'outcome', get: (r) => (r.ok ? 'ok' : `${r.transient === 'unknown' ? 'unknown' : 'error'} ${r.code}`) }, 'undo'],
+};
+
+function outputFormatFrom(globalOpts) {
+  if (globalOpts.json) return 'json';
+  const format = String(globalOpts.output ?? 'table').toLowerCase();
+  if (!OUTPUT_FORMATS.includes(format)) throw new BegetError(`--output must be one of ${OUTPUT_FORMATS.join('|')}`, EXIT.USAGE_ERROR);
+  return format;
+}
+
+// Run before any action so a bad --output/--fields/--query never follows an API call.
+function validateOutputOptions(globalOpts) {
+  outputFormatFrom(globalOpts);
+  if (globalOpts.fields !== undefined && !parseCsv(globalOpts.fields).length) throw new BegetError('--fields must list at least one field', EXIT.USAGE_ERROR);
+  if (globalOpts.query !== undefined) parseQuery(globalOpts.query);
+}
+
+function parseDuration(value, label) {
+  const m = String(value ?? '').trim().match(/^(\d+)(s|m|h|d)?$/);
+  if (!m) throw new BegetError(`${label} must be a duration like 900, 15m, 2h or 1d`, EXIT.USAGE_ERROR);
+  return Number(m[1]) * { s: 1, m: 60, h: 3600, d: 86400 }[m[2] ?? 's'];
+}
+
+async function newVaultPassphrase() {
+  let passphrase = process.env.BEGET_VAULT_PASSPHRASE;
+  if (!passphrase) {
+    passphrase = await promptMasked('New vault passphrase: ');
+    if (passphrase !== (await promptMasked('Repeat vault passphrase: '))) throw new BegetError('Passphrases do not match', EXIT.USAGE_ERROR);
   }
+  if (passphrase.length < 8) throw new BegetError('Vault passphrase must be at least 8 characters', EXIT.USAGE_ERROR);
+  return passphrase;
 }
 
-function getConfigPath(explicitPath) {
-  if (explicitPath) return explicitPath;
-  if (process.env.BEGET_CONFIG) return process.env.BEGET_CONFIG;
-  const xdg = process.env.XDG_CONFIG_HOME;
-  if (xdg) return path.join(xdg, 'beget-cli', 'config.json');
-  return path.join(os.homedir(), '.config', 'beget-cli', 'config.json');
+function jsonModeFrom(globalOpts) {
+  return outputFormatFrom(globalOpts) === 'json';
 }
 
-async function ensureParentSecure(filePath) {
-  const dir = path.dirname(filePath);
-  await fs.mkdir(dir, { recursive: true, mode: 0o700 });
-  await fs.chmod(dir, 0o700).catch(() => {});
+function humanModeFrom(globalOpts) {
+  return outputFormatFrom(globalOpts) === 'table';
 }
 
-async function readConfig(configPath) {
-  try {
-    const raw = await fs.readFile(configPath, 'utf8');
-    const parsed = JSON.parse(raw);
-    parsed.profiles ??= {};
-    parsed.activeProfile ??= null;
-    return parsed;
-  } catch (err) {
-    if (err.code === 'ENOENT') return { version: 1, activeProfile: null, profiles: {} };
-    throw new CliError(`Failed to read config: ${err.message}`, EXIT.CONFIG_ERROR);
+function documentModeFrom(globalOpts) {
+  return ['json', 'yaml'].includes(outputFormatFrom(globalOpts));
+}
+
+function outputOptsFrom(globalOpts, columns = undefined) {
+  return { format: outputFormatFrom(globalOpts), fields: globalOpts.fields ? parseCsv(globalOpts.fields) : undefined, query: globalOpts.query, headers: globalOpts.headers !== false, columns };
+}
+
+function fieldValue(row, key) {
+  return String(key).split('.').reduce((acc, part) => (acc === null || acc === undefined ? undefined : acc[part]), row);
+}
+
+function parseQuery(query) {
+  return parseCsv(query).map((cond) => {
+    const m = cond.match(/^([\w.]+)\s*(!=|>=|<=|=|~|>|<)\s*(.*)$/);
+    if (!m) throw new BegetError(`Invalid --query condition '${cond}' (expected field=value, !=, ~, >, <, >=, <=)`, EXIT.USAGE_ERROR);
+    const [, key, op, expected] = m;
+    let re;
+    if (op === '~') {
+      try {
+        re = new RegExp(expected, 'i');
+      } catch {
+        throw new BegetError(`Invalid regular expression in --query: ${expected}`, EXIT.USAGE_ERROR);
+      }
+    }
+    return (row) => {
+      const actual = fieldValue(row, key);
+      const text = actual === null || actual === undefined ? '' : typeof actual === 'object' ? JSON.stringify(actual) : String(actual);
+      if (op === '=') return text === expected;
+      if (op === '!=') return text !== expected;
+      if (op === '~') return re.test(text);
+      const a = Number(actual);
+      const b = Number(expected);
+      if (Number.isNaN(a) || Number.isNaN(b)) return false;
+      return op === '>' ? a > b : op === '<' ? a < b : op === '>=' ? a >= b : a <= b;
+    };
+  });
+}
+
+function resolveColumns(rows, opts) {
+  const keysOf = () => [...new Set(rows.flatMap((r) => (r && typeof r === 'object' ? Object.keys(r) : [])))];
+  const defs = (opts.columns ?? []).map((c) => (typeof c === 'string' ? { key: c } : c));
+  if (opts.fields) return opts.fields.map((f) => defs.find((d) => d.key === f) ?? { key: f });
+  const present = defs.filter((d) => d.get || rows.some((r) => fieldValue(r, d.key) !== undefined));
+  return present.length ? present : keysOf().map((key) => ({ key }));
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value) && value.every((v) => v === null || typeof v !== 'object')) return value.join(',');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function shapeOutput(data, opts) {
+  const isList = Array.isArray(data);
+  let rows = isList ? data : [data];
+  if (opts.query) {
+    const conditions = parseQuery(opts.query);
+    rows = rows.filter((r) => conditions.every((test) => test(r)));
   }
+  const plain = rows.every((r) => r === null || typeof r !== 'object');
+  const columns = plain ? [{ key: 'value', get: (r) => r }] : resolveColumns(rows, opts);
+  return { isList, rows, columns };
 }
 
-async function writeConfig(configPath, cfg) {
-  await ensureParentSecure(configPath);
-  await fs.writeFile(configPath, JSON.stringify(cfg, null, 2) + '\n', { mode: 0o600 });
-  await fs.chmod(configPath, 0o600).catch(() => {});
+function pickFields(rows, columns) {
+  return rows.map((r) => Object.fromEntries(columns.map((c) => [c.key, c.get ? c.get(r) : fieldValue(r, c.key)])));
 }
 
-function jsonModeFrom(globalOpts) {
-  return Boolean(globalOpts.json);
+function csvCell(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function truncateTable(matrix, maxWidth) {
+  const widths = matrix[0].map((_, i) => Math.max(...matrix.map((row) => row[i].length)));
+  const sep = 2;
+  let total = widths.reduce((a, b) => a + b, 0) + sep * (widths.length - 1);
+  while (total > maxWidth) {
+    const widest = widths.indexOf(Math.max(...widths));
+    if (widths[widest] <= 4) break;
+    widths[widest] -= 1;
+    total -= 1;
+  }
+  return widths;
+}
+
+function renderTable(rows, columns, { headers, maxWidth }) {
+  const matrix = rows.map((r) => columns.map((c) => cellText(c.get ? c.get(r) : fieldValue(r, c.key)).replace(/[\t\r\n]+/g, ' ')));
+  if (headers) matrix.unshift(columns.map((c) => c.key.toUpperCase()));
+  if (!matrix.length) return '';
+  const widths = maxWidth ? truncateTable(matrix, maxWidth) : matrix[0].map((_, i) => Math.max(...matrix.map((row) => row[i].length)));
+  return matrix.map((row) => row.map((cell, i) => {
+    const text = cell.length > widths[i] ? `${cell.slice(0, widths[i] - 1)}…` : cell;
+    return i === row.length - 1 ? text : text.padEnd(widths[i]);
+  }).join('  ').trimEnd()).join('\n');
 }
 
 function printResult(data, opts = {}) {
-  if (opts.json) return console.log(JSON.stringify(data, null, 2));
+  const batch = batchContext.getStore();
+  if (batch) {
+    batch.columns ??= opts.columns;
+    return batch.output.push(data);
+  }
+  const format = opts.format ?? (opts.json ? 'json' : 'table');
   if (typeof data === 'string') return console.log(data);
-  console.log(JSON.stringify(data, null, 2));
+  if (data === null || data === undefined || typeof data !== 'object') {
+    return console.log(format === 'json' ? JSON.stringify(data ?? null, null, 2) : format === 'yaml' ? YAML.stringify(data ?? null).trimEnd() : cellText(data));
+  }
+  if ((format === 'json' || format === 'yaml') && !opts.fields && !opts.query) {
+    return console.log(format === 'json' ? JSON.stringify(data, null, 2) : YAML.stringify(data).trimEnd());
+  }
+  const { isList, rows, columns } = shapeOutput(data, opts);
+  if (format === 'json' || format === 'yaml') {
+    const picked = opts.fields ? pickFields(rows, columns) : rows;
+    const value = isList ? picked : picked[0] ?? null;
+    return console.log(format === 'json' ? JSON.stringify(value, null, 2) : YAML.stringify(value).trimEnd());
+  }
+  if (format === 'csv' || format === 'tsv') {
+    const cell = format === 'csv' ? (v) => csvCell(cellText(v)) : (v) => cellText(v).replace(/[\t\r\n]+/g, ' ');
+    const lines = rows.map((r) => columns.map((c) => cell(c.get ? c.get(r) : fieldValue(r, c.key))).join(format === 'csv' ? ',' : '\t'));
+    if (opts.headers !== false) lines.unshift(columns.map((c) => (format === 'csv' ? csvCell(c.key) : c.key)).join(format === 'csv' ? ',' : '\t'));
+    if (lines.length) console.log(lines.join('\n'));
+    return;
+  }
+  const maxWidth = process.stdout.isTTY ? process.stdout.columns : undefined;
+  if (!isList && !opts.fields && !opts.columns) {
+    const pairs = Object.entries(data).map(([key, value]) => ({ key, value }));
+    const table = renderTable(pairs, [{ key: 'key' }, { key: 'value' }], { headers: false, maxWidth });
+    if (table) console.log(table);
+    return;
+  }
+  if (!rows.length) return opts.headers === false ? undefined : console.log('No results');
+  console.log(renderTable(rows, columns, { headers: opts.headers !== false, maxWidth }));
 }
 
 function printError(err, jsonMode = false) {
   if (jsonMode) {
-    stderr.write(JSON.stringify({ error: err.message, details: err.details ?? null }, null, 2) + '\n');
+    const body = { error: err.message, details: err.details ?? null };
+    if (err.attempts !== undefined) body.attempts = err.attempts;
+    stderr.write(JSON.stringify(body, null, 2) + '\n');
     return;
   }
   stderr.write(`Error: ${err.message}\n`);
   if (err.details) stderr.write(`${err.details}\n`);
 }
 
-function resolveCredentials(globalOpts, cfg) {
-  const selectedProfile = globalOpts.profile ?? process.env.BEGET_PROFILE ?? cfg.activeProfile;
-  const profile = selectedProfile ? cfg.profiles[selectedProfile] : null;
-  const login = globalOpts.login ?? process.env.BEGET_LOGIN ?? profile?.login;
-  const apiKey = process.env.BEGET_API_PASSWORD ?? process.env.BEGET_API_KEY ?? profile?.apiKey;
-  const baseUrl = globalOpts.baseUrl ?? process.env.BEGET_API_BASE_URL ?? 'https://api.beget.com/api';
-
-  if (!login || !apiKey) {
-    throw new CliError('Missing Beget credentials. Use `beget auth add/use` or set BEGET_LOGIN + BEGET_API_PASSWORD.', EXIT.AUTH_ERROR);
-  }
-  return { login, apiKey, baseUrl, selectedProfile };
-}
-
 async function promptLine(query) {
   const rl = createInterface({ input, output });
   try {
@@ -94,7 +236,7 @@ async function promptLine(query) {
 }
 
 async function promptMasked(query) {
-  if (!process.stdin.isTTY) throw new CliError('Cannot prompt for secret in non-interactive mode.', EXIT.USAGE_ERROR);
+  if (!process.stdin.isTTY) throw new BegetError('Cannot prompt for secret in non-interactive mode.', EXIT.USAGE_ERROR);
   output.write(query);
   const wasRaw = Boolean(input.isRaw);
   if (input.setRawMode) input.setRawMode(true);
@@ -124,7 +266,7 @@ function parseJsonOption(value, label) {
   try {
     return JSON.parse(value);
   } catch {
-    throw new CliError(`${label} must be valid JSON`, EXIT.USAGE_ERROR);
+    throw new BegetError(`${label} must be valid JSON`, EXIT.USAGE_ERROR);
   }
 }
 
@@ -135,311 +277,2835 @@ function parseCsv(value) {
 async function ensureRiskConfirmation({ cmdOpts, globalOpts, title }) {
   if (cmdOpts.yes || globalOpts.yes) return;
   if (!process.stdin.isTTY || !process.stdout.isTTY) {
-    throw new CliError(`${title} is risky; run with --yes in non-interactive mode`, EXIT.USAGE_ERROR);
+    throw new BegetError(`${title} is risky; run with --yes in non-interactive mode`, EXIT.USAGE_ERROR);
   }
   const ans = (await promptLine(`${title}. Continue? [y/N]: `)).toLowerCase();
-  if (!['y', 'yes'].includes(ans)) throw new CliError('Cancelled by user', EXIT.USAGE_ERROR);
+  if (!['y', 'yes'].includes(ans)) throw new BegetError('Cancelled by user', EXIT.USAGE_ERROR);
 }
 
 async function getSecret({ cmdOpts, envKeys = [], prompt }) {
   for (const key of envKeys) {
     if (process.env[key]) return process.env[key];
   }
-  if (cmdOpts?.noInput) throw new CliError(`Missing secret in env (${envKeys.join(', ')}) for --no-input mode`, EXIT.USAGE_ERROR);
+  if (cmdOpts?.input === false) throw new BegetError(`Missing secret in env (${envKeys.join(', ')}) for --no-input mode`, EXIT.USAGE_ERROR);
   return promptMasked(prompt);
 }
 
-async function callBeget({ baseUrl, login, apiKey, section, method, inputData, query = {}, timeoutMs = 20000 }) {
-  const params = new URLSearchParams({ login, passwd: apiKey, output_format: 'json' });
-  for (const [k, v] of Object.entries(query)) if (v !== undefined && v !== null) params.set(k, String(v));
-  if (inputData !== undefined) {
-    params.set('input_format', 'json');
-    params.set('input_data', JSON.stringify(inputData));
+function parseCount(value, label) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new BegetError(`${label} must be a non-negative integer`, EXIT.USAGE_ERROR);
+  return n;
+}
+
+function retryPolicyFrom(globalOpts, profile) {
+  const pick = (flag, key, fallback, label) => parseCount(globalOpts[flag] ?? profile?.[key] ?? fallback, label);
+  return {
+    retries: pick('retries', 'retries', DEFAULT_RETRIES, '--retries'),
+    retryMaxDelay: pick('retryMaxDelay', 'retryMaxDelay', DEFAULT_RETRY_MAX_DELAY, '--retry-max-delay'),
+    rateLimit: pick('rateLimit', 'rateLimit', DEFAULT_RATE_LIMIT, '--rate-limit'),
+    retryMutations: Boolean(globalOpts.retryMutations),
+  };
+}
+
+function traceFrom(globalOpts) {
+  if (!globalOpts.verbose && !globalOpts.trace) return null;
+  const file = globalOpts.traceFile ?? null;
+  return {
+    bodies: Boolean(globalOpts.trace),
+    write(line) {
+      if (!file) return stderr.write(`${line}\n`);
+      fssync.appendFileSync(file, `${line}\n`, { mode: 0o600 });
+    },
+  };
+}
+
+function cassetteFrom(globalOpts) {
+  if (!globalOpts.record && !globalOpts.replay) return null;
+  return { recordDir: globalOpts.record ?? null, replayDir: globalOpts.replay ?? null };
+}
+
+function vaultPassphrase() {
+  return process.stdin.isTTY ? () => promptMasked('Vault passphrase: ') : undefined;
+}
+
+function profileFrom(globalOpts) {
+  return loadProfile({ config: globalOpts.config, profile: globalOpts.profile, login: globalOpts.login, baseUrl: globalOpts.baseUrl, passphrase: vaultPassphrase() });
+}
+
+function sessionProfile(globalOpts) {
+  const sessions = batchContext.getStore()?.credentials;
+  if (!sessions) return profileFrom(globalOpts);
+  const key = JSON.stringify([globalOpts.config, globalOpts.profile, globalOpts.login]);
+  if (!sessions.has(key)) sessions.set(key, profileFrom(globalOpts));
+  return sessions.get(key);
+}
+
+async function clientFrom(globalOpts) {
+  const { credentials, settings } = await sessionProfile(globalOpts);
+  return new BegetClient({
+    login: credentials.login,
+    apiKey: credentials.apiKey,
+    baseUrl: credentials.baseUrl,
+    profile: credentials.selectedProfile ?? null,
+    ...retryPolicyFrom(globalOpts, settings),
+    timeout: Number(globalOpts.timeout),
+    trace: traceFrom(globalOpts),
+    cassette: cassetteFrom(globalOpts),
+  });
+}
+
+async function executeApi({ globalOpts, cmdOpts, section, method, inputData, query, mutate = false, risky = false, riskTitle, resolved, undoOf }) {
+  const client = await clientFrom(globalOpts);
+  if (mutate && cmdOpts.dryRun) {
+    return { dryRun: true, section, method, inputData: inputData ?? null, query: query ?? null, ...(resolved?.length ? { resolved } : {}) };
+  }
+  if (mutate && risky) {
+    await ensureRiskConfirmation({ cmdOpts, globalOpts, title: riskTitle ?? `${section}/${method}` });
+  }
+  const audit = mutate ? await auditEntry(globalOpts, client, { section, method, inputData, query, undoOf }) : null;
+  let result;
+  try {
+    result = await client.call(section, method, inputData, { query, mutate });
+  } catch (err) {
+    if (audit) await appendAuditEntry(globalOpts, { ...audit, ok: false, code: err instanceof BegetError ? err.code : EXIT.GENERIC_ERROR, error: err.message, ...(err.retry ? { transient: err.retry } : {}) });
+    throw err;
+  }
+  if (audit) await appendAuditEntry(globalOpts, { ...audit, ok: true });
+  if (COMPLETION_SOURCES[`${section}/${method}`]) await updateCompletionCache(globalOpts, client.login, `${section}/${method}`, result);
+  return result;
+}
+
+const DNS_RECORD_TYPES = { A: 'A', AAAA: 'AAAA', MX: 'MX', TXT: 'TXT', CNAME: 'CNAME', NS: 'DNS', SRV: 'SRV' };
+
+function collect(value, previous = []) {
+  return [...previous, value];
+}
+
+function dnsRecordValue(rec) {
+  if (rec === null || typeof rec !== 'object') return rec ?? null;
+  return rec.value ?? rec.address ?? rec.ipv6 ?? rec.exchange ?? rec.txtdata ?? rec.cname ?? rec.nsdname ?? rec.target ?? rec.ip ?? null;
+}
+
+function normalizeDnsRecords(records = {}) {
+  const out = {};
+  for (const [type, list] of Object.entries(records ?? {})) {
+    if (!Array.isArray(list)) continue;
+    out[type] = list.map((rec, i) => {
+      const priority = Number(rec?.priority ?? rec?.preference ?? (i + 1) * 10);
+      if (type === 'SRV') return { priority, weight: Number(rec?.weight ?? 0), port: Number(rec?.port ?? 0), value: dnsRecordValue(rec) };
+      return { priority, value: dnsRecordValue(rec) };
+    });
+  }
+  return out;
+}
+
+function dnsRecordKey(rec) {
+  return rec.weight === undefined ? String(rec.value) : `${rec.weight} ${rec.port} ${rec.value}`;
+}
+
+function validateDnsRecordValue(type, value) {
+  if (type === 'A' && !net.isIPv4(value)) throw new BegetError(`Invalid IPv4 address for A record: ${value}`, EXIT.USAGE_ERROR);
+  if (type === 'AAAA' && !net.isIPv6(value)) throw new BegetError(`Invalid IPv6 address for AAAA record: ${value}`, EXIT.USAGE_ERROR);
+  if (type === 'DNS_IP' && value !== null && !net.isIP(value)) throw new BegetError(`Invalid IP address for DNS_IP record: ${value}`, EXIT.USAGE_ERROR);
+  if (!String(value ?? '').length && type !== 'DNS_IP') throw new BegetError(`Empty value for ${type} record`, EXIT.USAGE_ERROR);
+}
+
+function dnsRecordsFromOptions(cmdOpts, { requireValue = true } = {}) {
+  const type = DNS_RECORD_TYPES[String(cmdOpts.type ?? '').toUpperCase()];
+  if (!type) throw new BegetError(`--type must be one of ${Object.keys(DNS_RECORD_TYPES).join('|')}`, EXIT.USAGE_ERROR);
+  const values = cmdOpts.value ?? [];
+  if (requireValue && !values.length) throw new BegetError('At least one --value is required', EXIT.USAGE_ERROR);
+  const priority = cmdOpts.priority !== undefined ? Number(cmdOpts.priority) : undefined;
+  if (priority !== undefined && !Number.isInteger(priority)) throw new BegetError('--priority must be an integer', EXIT.USAGE_ERROR);
+  const records = values.map((value) => {
+    validateDnsRecordValue(type, value);
+    if (type !== 'SRV') return { priority, value };
+    if (cmdOpts.port === undefined) throw new BegetError('SRV records require --port', EXIT.USAGE_ERROR);
+    return { priority, weight: Number(cmdOpts.weight ?? 0), port: Number(cmdOpts.port), value };
+  });
+  return { type, records };
+}
+
+function nextDnsPriority(list) {
+  return list.reduce((max, rec) => Math.max(max, Number(rec.priority) || 0), 0) + 10;
+}
+
+function applyDnsRecordChange(before, action, { type, records }, { all = false } = {}) {
+  const after = structuredClone(before);
+  const current = after[type] ?? [];
+  const keys = new Set(records.map(dnsRecordKey));
+  if (action === 'add') {
+    for (const rec of records) {
+      const existing = current.find((r) => dnsRecordKey(r) === dnsRecordKey(rec));
+      if (existing) {
+        if (rec.priority !== undefined) existing.priority = rec.priority;
+        continue;
+      }
+      current.push({ ...rec, priority: rec.priority ?? nextDnsPriority(current) });
+    }
+    after[type] = type === 'CNAME' ? current.slice(-1) : current;
+  } else if (action === 'remove') {
+    after[type] = all ? [] : current.filter((r) => !keys.has(dnsRecordKey(r)));
+    if (!all && after[type].length === current.length) throw new BegetError(`No matching ${type} records to remove`, EXIT.USAGE_ERROR);
+  } else if (action === 'set') {
+    const next = [];
+    for (const rec of records) next.push({ ...rec, priority: rec.priority ?? current.find((r) => dnsRecordKey(r) === dnsRecordKey(rec))?.priority ?? nextDnsPriority(next) });
+    after[type] = next;
+  }
+  if (!after[type].length) delete after[type];
+  return after;
+}
+
+function diffDnsRecords(before, after) {
+  const changes = [];
+  const types = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+  for (const type of types) {
+    const prev = new Map((before[type] ?? []).map((r) => [dnsRecordKey(r), r]));
+    const next = new Map((after[type] ?? []).map((r) => [dnsRecordKey(r), r]));
+    for (const [key, rec] of prev) {
+      if (!next.has(key)) changes.push({ op: 'remove', type, value: key, priority: rec.priority });
+      else if (next.get(key).priority !== rec.priority) changes.push({ op: 'change', type, value: key, priority: next.get(key).priority, previousPriority: rec.priority });
+    }
+    for (const [key, rec] of next) if (!prev.has(key)) changes.push({ op: 'add', type, value: key, priority: rec.priority });
+  }
+  return changes;
+}
+
+function formatDnsDiff(fqdn, changes) {
+  if (!changes.length) return `${fqdn}: no changes`;
+  const sign = { add: '+', remove: '-', change: '~' };
+  return [`${fqdn}:`, ...changes.map((c) => `${sign[c.op]} ${c.type}\t${c.value}\tpriority ${c.op === 'change' ? `${c.previousPriority} -> ${c.priority}` : c.priority}`)].join('\n');
+}
+
+function toChangeRecordsInput(records) {
+  const out = {};
+  for (const [type, list] of Object.entries(records)) {
+    out[type] = list.map((r) => (type === 'SRV' ? { priority: r.priority, weight: r.weight, port: r.port, target: r.value } : { priority: r.priority, value: r.value }));
+  }
+  return out;
+}
+
+async function fetchDnsRecords(globalOpts, fqdn) {
+  const current = await executeApi({ globalOpts, cmdOpts: {}, section: 'dns', method: 'getData', inputData: { fqdn } });
+  return normalizeDnsRecords(current?.records);
+}
+
+async function commitDnsRecords({ globalOpts, cmdOpts, fqdn, before, after, risky, riskTitle }) {
+  const changes = diffDnsRecords(before, after);
+  const inputData = { fqdn, records: toChangeRecordsInput(after) };
+  if (!changes.length) return { fqdn, changes, result: null };
+  if (cmdOpts.dryRun) return { dryRun: true, section: 'dns', method: 'changeRecords', fqdn, changes, inputData };
+  const result = await executeApi({ globalOpts, cmdOpts, section: 'dns', method: 'changeRecords', mutate: true, risky: risky ?? false, riskTitle, inputData });
+  return { fqdn, changes, result };
+}
+
+async function editDnsRecords({ globalOpts, cmdOpts, fqdn, action, change, all = false }) {
+  const before = await fetchDnsRecords(globalOpts, fqdn);
+  const after = applyDnsRecordChange(before, action, change, { all });
+  const removals = diffDnsRecords(before, after).filter((c) => c.op === 'remove').length;
+  return commitDnsRecords({ globalOpts, cmdOpts, fqdn, before, after, risky: removals > 0, riskTitle: `Remove ${removals} DNS record(s) from ${fqdn}` });
+}
+
+function printDnsEdit(outcome, globalOpts) {
+  if (documentModeFrom(globalOpts)) return printResult(outcome, outputOptsFrom(globalOpts));
+  if (!humanModeFrom(globalOpts)) return printResult(outcome.changes, outputOptsFrom(globalOpts, LIST_COLUMNS.dnsChanges));
+  printResult(`${outcome.dryRun ? '[dry-run] ' : ''}${formatDnsDiff(outcome.fqdn, outcome.changes)}`);
+}
+
+function splitZoneLines(text) {
+  const lines = [];
+  let tokens = [];
+  let token = null;
+  let depth = 0;
+  let quoted = false;
+  let startLine = 1;
+  let indented = false;
+  let lineNo = 1;
+  let atLineStart = true;
+  const flush = () => {
+    if (token !== null) tokens.push(token);
+    token = null;
+  };
+  for (let i = 0; i <= text.length; i += 1) {
+    const ch = text[i] ?? '\n';
+    if (quoted) {
+      if (ch === '\\' && i + 1 < text.length) {
+        token.text += text[i + 1];
+        i += 1;
+      } else if (ch === '"') quoted = false;
+      else {
+        if (ch === '\n') lineNo += 1;
+        token.text += ch;
+      }
+      continue;
+    }
+    if (atLineStart && depth === 0) {
+      indented = ch === ' ' || ch === '\t';
+      startLine = lineNo;
+      atLineStart = false;
+    }
+    if (ch === ';') {
+      while (i + 1 < text.length && text[i + 1] !== '\n') i += 1;
+      continue;
+    }
+    if (ch === '"') {
+      flush();
+      token = { text: '', quoted: true };
+      quoted = true;
+    } else if (ch === '(' || ch === ')') {
+      flush();
+      depth += ch === '(' ? 1 : -1;
+      if (depth < 0) throw new BegetError(`Zone file line ${lineNo}: unbalanced ')'`, EXIT.USAGE_ERROR);
+    } else if (ch === ' ' || ch === '\t' || ch === '\r') {
+      flush();
+    } else if (ch === '\n') {
+      flush();
+      lineNo += 1;
+      if (depth === 0) {
+        if (tokens.length) lines.push({ line: startLine, indented, tokens });
+        tokens = [];
+        atLineStart = true;
+      }
+    } else {
+      token ??= { text: '', quoted: false };
+      if (ch === '\\' && i + 1 < text.length) {
+        token.text += text[i + 1];
+        i += 1;
+      } else token.text += ch;
+    }
+  }
+  if (quoted || depth > 0) throw new BegetError(`Zone file line ${startLine}: unterminated ${quoted ? 'quoted string' : 'parenthesis'}`, EXIT.USAGE_ERROR);
+  return lines;
+}
+
+const ZONE_CLASSES = new Set(['IN', 'CH', 'HS', 'CS']);
+
+function absoluteZoneName(name, origin) {
+  if (name === '@') return origin;
+  if (name.endsWith('.')) return name.slice(0, -1).toLowerCase();
+  return `${name}.${origin}`.toLowerCase();
+}
+
+function parseZoneFile(text, fqdn) {
+  let origin = fqdn.replace(/\.$/, '').toLowerCase();
+  let defaultTtl = null;
+  let lastOwner = origin;
+  const entries = [];
+  for (const { line, indented, tokens } of splitZoneLines(text)) {
+    const words = tokens.map((t) => t.text);
+    if (!tokens[0].quoted && words[0].startsWith('$')) {
+      const directive = words[0].toUpperCase();
+      if (directive === '$ORIGIN') origin = absoluteZoneName(words[1] ?? '', origin);
+      else if (directive === '$TTL') defaultTtl = Number(words[1]);
+      else throw new BegetError(`Zone file line ${line}: ${directive} is not supported`, EXIT.USAGE_ERROR);
+      continue;
+    }
+    let rest = tokens;
+    let owner = lastOwner;
+    if (!indented) {
+      owner = absoluteZoneName(rest[0].text, origin);
+      rest = rest.slice(1);
+    }
+    lastOwner = owner;
+    let ttl = defaultTtl;
+    while (rest.length && !rest[0].quoted && (/^\d+$/.test(rest[0].text) || ZONE_CLASSES.has(rest[0].text.toUpperCase()))) {
+      if (/^\d+$/.test(rest[0].text)) ttl = Number(rest[0].text);
+      rest = rest.slice(1);
+    }
+    if (!rest.length) throw new BegetError(`Zone file line ${line}: missing record type`, EXIT.USAGE_ERROR);
+    entries.push({ line, owner, ttl, type: rest[0].text.toUpperCase(), rdata: rest.slice(1).map((t) => t.text), origin });
+  }
+  return entries;
+}
+
+function zoneToBegetRecords(entries, fqdn) {
+  const apex = fqdn.replace(/\.$/, '').toLowerCase();
+  const records = {};
+  const unsupported = [];
+  const push = (type, rec) => {
+    records[type] ??= [];
+    records[type].push({ priority: rec.priority ?? (records[type].length + 1) * 10, ...rec });
+  };
+  const nsTargets = entries.filter((e) => e.type === 'NS' && e.owner === apex).map((e) => absoluteZoneName(e.rdata[0] ?? '', e.origin));
+  const glue = [];
+  for (const e of entries) {
+    const reject = (reason) => unsupported.push({ line: e.line, owner: e.owner, type: e.type, value: e.rdata.join(' '), reason });
+    if (e.type === 'SOA') {
+      reject('SOA is managed by Beget');
+      continue;
+    }
+    if (e.owner !== apex) {
+      if ((e.type === 'A' || e.type === 'AAAA') && nsTargets.includes(e.owner)) glue.push({ ns: e.owner, value: e.rdata[0] });
+      else reject(`owner is not ${apex}; manage it as a separate fqdn`);
+      continue;
+    }
+    try {
+      if (e.type === 'A' || e.type === 'AAAA') {
+        validateDnsRecordValue(e.type, e.rdata[0]);
+        push(e.type, { value: e.rdata[0] });
+      } else if (e.type === 'MX') {
+        if (e.rdata.length !== 2 || !/^\d+$/.test(e.rdata[0])) throw new Error('expected "<preference> <exchange>"');
+        push('MX', { priority: Number(e.rdata[0]), value: absoluteZoneName(e.rdata[1], e.origin) });
+      } else if (e.type === 'TXT') {
+        if (!e.rdata.length) throw new Error('empty TXT record');
+        push('TXT', { value: e.rdata.join('') });
+      } else if (e.type === 'CNAME') {
+        push('CNAME', { value: absoluteZoneName(e.rdata[0] ?? '', e.origin) });
+      } else if (e.type === 'NS') {
+        push('DNS', { value: absoluteZoneName(e.rdata[0] ?? '', e.origin) });
+      } else if (e.type === 'SRV') {
+        if (e.rdata.length !== 4 || !e.rdata.slice(0, 3).every((x) => /^\d+$/.test(x))) throw new Error('expected "<priority> <weight> <port> <target>"');
+        push('SRV', { priority: Number(e.rdata[0]), weight: Number(e.rdata[1]), port: Number(e.rdata[2]), value: absoluteZoneName(e.rdata[3], e.origin) });
+      } else {
+        reject(`record type ${e.type} is not supported by Beget dns/changeRecords`);
+      }
+    } catch (err) {
+      reject(err.message);
+    }
+  }
+  if (records.CNAME?.length > 1 || (records.CNAME && Object.keys(records).length > 1)) {
+    throw new BegetError(`CNAME at ${apex} cannot coexist with other records`, EXIT.USAGE_ERROR);
+  }
+  if (glue.length && records.DNS) {
+    records.DNS_IP = records.DNS.map((ns) => ({ priority: ns.priority, value: glue.find((g) => g.ns === ns.value)?.value ?? null }));
+  }
+  return { records, unsupported };
+}
+
+function quoteZoneString(value) {
+  const text = String(value ?? '');
+  const chunks = text.match(/[\s\S]{1,255}/g) ?? [''];
+  return chunks.map((c) => `"${c.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`).join(' ');
+}
+
+function zoneName(value) {
+  const text = String(value ?? '');
+  return text.includes('.') && !text.endsWith('.') ? `${text}.` : text;
+}
+
+function begetRecordsToZone(fqdn, rawRecords) {
+  const records = normalizeDnsRecords(rawRecords);
+  const ttl = Object.values(rawRecords ?? {}).flat().find((r) => r?.ttl)?.ttl ?? 600;
+  const lines = [`$ORIGIN ${zoneName(fqdn)}`, `$TTL ${ttl}`];
+  const sorted = (type) => [...(records[type] ?? [])].sort((a, b) => a.priority - b.priority);
+  for (const rec of sorted('DNS')) lines.push(`@\tIN\tNS\t${zoneName(rec.value)}`);
+  for (const rec of sorted('A')) lines.push(`@\tIN\tA\t${rec.value}`);
+  for (const rec of sorted('AAAA')) lines.push(`@\tIN\tAAAA\t${rec.value}`);
+  for (const rec of sorted('CNAME')) lines.push(`@\tIN\tCNAME\t${zoneName(rec.value)}`);
+  for (const rec of sorted('MX')) lines.push(`@\tIN\tMX\t${rec.priority} ${zoneName(rec.value)}`);
+  for (const rec of sorted('TXT')) lines.push(`@\tIN\tTXT\t${quoteZoneString(rec.value)}`);
+  for (const rec of sorted('SRV')) lines.push(`@\tIN\tSRV\t${rec.priority} ${rec.weight} ${rec.port} ${zoneName(rec.value)}`);
+  const dnsIp = sorted('DNS_IP');
+  sorted('DNS').forEach((ns, i) => {
+    const ip = dnsIp[i]?.value;
+    if (ip) lines.push(`${zoneName(ns.value)}\tIN\t${net.isIPv6(ip) ? 'AAAA' : 'A'}\t${ip}`);
+  });
+  for (const type of Object.keys(records)) {
+    if (!['DNS', 'DNS_IP', 'A', 'AAAA', 'CNAME', 'MX', 'TXT', 'SRV'].includes(type)) lines.push(`; unsupported Beget record type ${type}: ${JSON.stringify(records[type])}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+const MANIFEST_SECTIONS = ['sites', 'domains', 'subdomains', 'mail', 'mysql', 'cron'];
+const CRON_FIELDS = ['minutes', 'hours', 'days', 'months', 'weekdays'];
+
+const CRON_RANGES = { minutes: [0, 59], hours: [0, 23], days: [1, 31], months: [1, 12], weekdays: [0, 7] };
+const CRON_NAMES = {
+  months: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'],
+  weekdays: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'],
+};
+const CRON_MACROS = { '@yearly': '0 0 1 1 *', '@annually': '0 0 1 1 *', '@monthly': '0 0 1 * *', '@weekly': '0 0 * * 0', '@daily': '0 0 * * *', '@midnight': '0 0 * * *', '@hourly': '0 * * * *' };
+const CRON_HIDDEN_MARKER = '#beget:hidden ';
+
+function cronFieldValue(token, field, value) {
+  const names = CRON_NAMES[field];
+  const index = names?.indexOf(token);
+  const n = index >= 0 ? index + (field === 'months' ? 1 : 0) : /^\d+$/.test(token) ? Number(token) : NaN;
+  const [min, max] = CRON_RANGES[field];
+  if (Number.isNaN(n)) throw new BegetError(`Invalid cron ${field} '${value}': '${token}' is not a number${names ? ' or name' : ''}`, EXIT.USAGE_ERROR);
+  if (n < min || n > max) throw new BegetError(`Invalid cron ${field} '${value}': ${n} is outside ${min}-${max}`, EXIT.USAGE_ERROR);
+  return n;
+}
+
+function validateCronField(value, field) {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (!text) throw new BegetError(`Invalid cron ${field}: empty value`, EXIT.USAGE_ERROR);
+  for (const part of text.split(',')) {
+    const [range, step, extra] = part.split('/');
+    if (extra !== undefined || (step !== undefined && (!/^\d+$/.test(step) || Number(step) === 0))) {
+      throw new BegetError(`Invalid cron ${field} '${value}': bad step in '${part}'`, EXIT.USAGE_ERROR);
+    }
+    if (range === '*') continue;
+    const [from, to, more] = range.split('-');
+    if (more !== undefined || from === '') throw new BegetError(`Invalid cron ${field} '${value}': bad range '${range}'`, EXIT.USAGE_ERROR);
+    const start = cronFieldValue(from, field, value);
+    if (to !== undefined && cronFieldValue(to, field, value) < start) throw new BegetError(`Invalid cron ${field} '${value}': range '${range}' is reversed`, EXIT.USAGE_ERROR);
   }
+  return String(value).trim();
+}
+
+function validateCronJob(job) {
+  for (const field of CRON_FIELDS) validateCronField(job[field], field);
+  if (!String(job.command ?? '').trim()) throw new BegetError('Cron command must not be empty', EXIT.USAGE_ERROR);
+  return job;
+}
+
+function parseCrontab(text) {
+  const jobs = [];
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const line = i + 1;
+    let body = raw.trim();
+    let hidden = false;
+    if (body.startsWith(CRON_HIDDEN_MARKER)) {
+      hidden = true;
+      body = body.slice(CRON_HIDDEN_MARKER.length).trim();
+    } else if (!body || body.startsWith('#')) return;
+    if (/^[A-Za-z_][A-Za-z0-9_]*\s*=/.test(body)) throw new BegetError(`Crontab line ${line}: environment assignments are not supported by Beget cron`, EXIT.USAGE_ERROR);
+    let fields;
+    let command;
+    if (body.startsWith('@')) {
+      const [macro, ...rest] = body.split(/\s+/);
+      if (!CRON_MACROS[macro.toLowerCase()]) throw new BegetError(`Crontab line ${line}: ${macro} is not supported`, EXIT.USAGE_ERROR);
+      fields = CRON_MACROS[macro.toLowerCase()].split(' ');
+      command = rest.join(' ');
+    } else {
+      const m = body.match(/^(\S+)\s+(\S+)\s+(\S+)\s+(\S+)\s+(\S+)\s+(.+)$/);
+      if (!m) throw new BegetError(`Crontab line ${line}: expected 5 schedule fields and a command`, EXIT.USAGE_ERROR);
+      fields = m.slice(1, 6);
+      command = m[6];
+    }
+    const job = { ...Object.fromEntries(CRON_FIELDS.map((f, k) => [f, fields[k]])), command: command.trim(), hidden, line };
+    try {
+      validateCronJob(job);
+    } catch (err) {
+      throw new BegetError(`Crontab line ${line}: ${err.message}`, EXIT.USAGE_ERROR);
+    }
+    jobs.push(job);
+  });
+  return jobs;
+}
+
+function cronJobKey(job) {
+  return [...CRON_FIELDS, 'command'].map((f) => String(job[f]).trim()).join(' ');
+}
+
+function cronIsHidden(row) {
+  return ['1', 'true'].includes(String(row.is_hidden ?? 0).toLowerCase());
+}
+
+function formatCrontab(rows) {
+  const lines = ['# beget cron export; lines prefixed with "#beget:hidden" are hidden (paused) tasks'];
+  for (const row of rows) lines.push(`${cronIsHidden(row) ? CRON_HIDDEN_MARKER : ''}${cronJobKey(row)}`);
+  return lines.join('\n') + '\n';
+}
+
+function cronJobInput(job) {
+  return Object.fromEntries([...CRON_FIELDS, 'command'].map((f) => [f, String(job[f]).trim()]));
+}
 
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), timeoutMs);
-  const url = `${baseUrl.replace(/\/$/, '')}/${section}/${method}?${params.toString()}`;
+function buildCronPlan(jobs, rows) {
+  const actions = [];
+  const remainingRows = [...rows];
+  const pending = [];
+  for (const job of jobs) {
+    const i = remainingRows.findIndex((r) => cronJobKey(r) === cronJobKey(job));
+    if (i === -1) {
+      pending.push(job);
+      continue;
+    }
+    const [row] = remainingRows.splice(i, 1);
+    if (cronIsHidden(row) !== job.hidden) actions.push({ op: 'update', kind: 'cron', name: `#${row.row_number} ${cronJobKey(job)}`, detail: job.hidden ? 'hide' : 'unhide', section: 'cron', method: 'changeHiddenState', inputData: { row_number: Number(row.row_number), is_hidden: job.hidden ? 1 : 0 } });
+  }
+  const additions = [];
+  for (const job of pending) {
+    const i = remainingRows.findIndex((r) => String(r.command).trim() === job.command);
+    if (i === -1) {
+      additions.push(job);
+      continue;
+    }
+    const [row] = remainingRows.splice(i, 1);
+    actions.push({ op: 'update', kind: 'cron', name: `#${row.row_number} ${job.command}`, detail: `${CRON_FIELDS.map((f) => row[f]).join(' ')} -> ${CRON_FIELDS.map((f) => job[f]).join(' ')}`, section: 'cron', method: 'edit', inputData: { row_number: Number(row.row_number), ...cronJobInput(job) } });
+    if (cronIsHidden(row) !== job.hidden) actions.push({ op: 'update', kind: 'cron', name: `#${row.row_number} ${job.command}`, detail: job.hidden ? 'hide' : 'unhide', section: 'cron', method: 'changeHiddenState', inputData: { row_number: Number(row.row_number), is_hidden: job.hidden ? 1 : 0 } });
+  }
+  for (const job of additions) actions.push({ op: 'create', kind: 'cron', name: cronJobKey(job), detail: job.hidden ? 'hidden' : undefined, section: 'cron', method: 'add', inputData: cronJobInput(job), hide: job.hidden });
+  const deletes = remainingRows.sort((a, b) => Number(b.row_number) - Number(a.row_number));
+  for (const row of deletes) actions.push({ op: 'delete', kind: 'cron', name: `#${row.row_number} ${cronJobKey(row)}`, section: 'cron', method: 'delete', inputData: { row_number: Number(row.row_number) } });
+  return actions;
+}
 
-  let res;
+async function applyCronPlan({ globalOpts, cmdOpts, actions }) {
+  const deletes = actions.filter((a) => a.op === 'delete');
+  if (deletes.length) await ensureRiskConfirmation({ cmdOpts, globalOpts, title: `Delete ${deletes.length} cron task(s)` });
+  const applied = [];
+  const run = async (action) => {
+    const result = await executeApi({ globalOpts, cmdOpts: {}, section: action.section, method: action.method, mutate: true, inputData: action.inputData });
+    applied.push({ ...action, result });
+  };
   try {
-    res = await fetch(url, { signal: controller.signal });
+    for (const action of actions.filter((a) => a.op !== 'delete')) await run(action);
+    const hide = actions.filter((a) => a.hide);
+    if (hide.length) {
+      const rows = asList(await executeApi({ globalOpts, cmdOpts: {}, section: 'cron', method: 'getList' }));
+      for (const action of hide) {
+        const row = rows.filter((r) => cronJobKey(r) === action.name).pop();
+        if (!row) throw new BegetError(`Cannot find new cron row for '${action.name}' to hide it`, EXIT.API_ERROR);
+        await run({ op: 'update', kind: 'cron', name: `#${row.row_number} ${action.name}`, detail: 'hide', section: 'cron', method: 'changeHiddenState', inputData: { row_number: Number(row.row_number), is_hidden: 1 } });
+      }
+    }
+    for (const action of deletes) await run(action);
   } catch (err) {
-    if (err.name === 'AbortError') throw new CliError(`Network timeout after ${timeoutMs}ms`, EXIT.NETWORK_ERROR);
-    throw new CliError(`Network error: ${err.message}`, EXIT.NETWORK_ERROR);
-  } finally {
-    clearTimeout(timer);
+    throw new BegetError(`Cron import failed: ${err.message}`, err instanceof BegetError ? err.code : EXIT.GENERIC_ERROR, `${applied.length} action(s) completed before the failure`);
+  }
+  return applied;
+}
+
+const MAIL_CSV_COLUMNS = ['mailbox', 'password', 'spam_filter_status', 'spam_filter', 'forward_mail_status', 'forwards'];
+const MAIL_FORWARD_MODES = ['no_forward', 'forward', 'forward_and_delete'];
+const PASSWORD_ALPHABETS = ['ABCDEFGHJKLMNPQRSTUVWXYZ', 'abcdefghijkmnopqrstuvwxyz', '23456789'];
+const PASSWORD_SYMBOLS = '!#%+-=@^_~';
+
+function parseCsvRecords(text, label) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i += 1;
+      rows.push([...row, cell]);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
   }
+  if (quoted) throw new BegetError(`${label}: unterminated quoted field`, EXIT.USAGE_ERROR);
+  if (cell !== '' || row.length) rows.push([...row, cell]);
+  const [header, ...body] = rows.filter((r) => r.some((c) => c.trim() !== ''));
+  if (!header) throw new BegetError(`${label} is empty`, EXIT.USAGE_ERROR);
+  const keys = header.map((h) => h.trim().toLowerCase());
+  return body.map((r, i) => {
+    if (r.length > keys.length) throw new BegetError(`${label} row ${i + 2}: ${r.length} values for ${keys.length} columns`, EXIT.USAGE_ERROR);
+    return Object.fromEntries(keys.map((k, j) => [k, (r[j] ?? '').trim()]));
+  });
+}
 
-  if (!res.ok) throw new CliError(`HTTP ${res.status} ${res.statusText}`, EXIT.NETWORK_ERROR);
+function generatePassword(length = 16, { symbols = false } = {}) {
+  const sets = symbols ? [...PASSWORD_ALPHABETS, PASSWORD_SYMBOLS] : PASSWORD_ALPHABETS;
+  const all = sets.join('');
+  const chars = sets.map((set) => set[crypto.randomInt(set.length)]);
+  while (chars.length < length) chars.push(all[crypto.randomInt(all.length)]);
+  for (let i = chars.length - 1; i > 0; i -= 1) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join('');
+}
 
-  let payload;
+async function writeSecretFile(file, text) {
   try {
-    payload = await res.json();
-  } catch {
-    throw new CliError('API returned non-JSON response', EXIT.API_ERROR);
+    await fs.writeFile(file, text, { mode: 0o600 });
+    await fs.chmod(file, 0o600);
+  } catch (err) {
+    throw new BegetError(`Failed to write ${file}: ${err.message}`, EXIT.GENERIC_ERROR);
   }
+}
+
+function parseMailCsv(text, domain) {
+  const rows = parseCsvRecords(text, 'mail CSV');
+  const seen = new Set();
+  return rows.map((row, i) => {
+    const label = `mail CSV row ${i + 2}`;
+    const unknown = Object.keys(row).filter((k) => !MAIL_CSV_COLUMNS.includes(k));
+    if (unknown.length) throw new BegetError(`${label}: unknown column(s) ${unknown.join(', ')} (expected: ${MAIL_CSV_COLUMNS.join(', ')})`, EXIT.USAGE_ERROR);
+    const [mailbox, boxDomain] = String(row.mailbox ?? '').toLowerCase().split('@');
+    if (!mailbox) throw new BegetError(`${label}: mailbox is required`, EXIT.USAGE_ERROR);
+    if (boxDomain && boxDomain !== domain.toLowerCase()) throw new BegetError(`${label}: ${row.mailbox} is not on ${domain}`, EXIT.USAGE_ERROR);
+    if (seen.has(mailbox)) throw new BegetError(`${label}: duplicate mailbox ${mailbox}`, EXIT.USAGE_ERROR);
+    seen.add(mailbox);
+    const entry = { mailbox, password: row.password || undefined, forwards: row.forwards === undefined ? undefined : row.forwards.split(/[\s;,]+/).filter(Boolean) };
+    if (row.spam_filter_status) {
+      if (!['0', '1'].includes(row.spam_filter_status)) throw new BegetError(`${label}: spam_filter_status must be 0 or 1`, EXIT.USAGE_ERROR);
+      entry.spam_filter_status = Number(row.spam_filter_status);
+    }
+    if (row.spam_filter) {
+      const level = Number(row.spam_filter);
+      if (!Number.isInteger(level) || level < 0 || level > 100) throw new BegetError(`${label}: spam_filter must be an integer 0-100`, EXIT.USAGE_ERROR);
+      entry.spam_filter = level;
+    }
+    if (row.forward_mail_status) {
+      if (!MAIL_FORWARD_MODES.includes(row.forward_mail_status)) throw new BegetError(`${label}: forward_mail_status must be one of ${MAIL_FORWARD_MODES.join(', ')}`, EXIT.USAGE_ERROR);
+      entry.forward_mail_status = row.forward_mail_status;
+    }
+    return entry;
+  });
+}
 
-  if (payload.status !== 'success') {
-    throw new CliError(`Beget API error: ${payload.error_text ?? 'unknown error'}`, payload.error_code === 'AUTH_ERROR' ? EXIT.AUTH_ERROR : EXIT.API_ERROR, payload.error_code);
+function buildMailImportPlan(domain, entries, state, { update }) {
+  const actions = [];
+  const skipped = [];
+  const settings = ['spam_filter_status', 'spam_filter', 'forward_mail_status'];
+  for (const entry of entries) {
+    const address = `${entry.mailbox}@${domain}`;
+    const have = state.mailboxes.find((b) => b.mailbox === entry.mailbox);
+    if (have && !update) {
+      skipped.push(address);
+      continue;
+    }
+    if (!have) {
+      actions.push({ op: 'create', kind: 'mailbox', name: address, detail: entry.password ? undefined : 'generated password', section: 'mail', method: 'createMailbox', inputData: { domain, mailbox: entry.mailbox, mailbox_password: entry.password }, generated: !entry.password });
+    } else if (entry.password) {
+      actions.push({ op: 'update', kind: 'mailbox-password', name: address, section: 'mail', method: 'changeMailboxPassword', inputData: { domain, mailbox: entry.mailbox, mailbox_password: entry.password } });
+    }
+    const wanted = { ...entry, forward_mail_status: entry.forward_mail_status ?? (!have && entry.forwards?.length ? 'forward' : undefined) };
+    if (settings.some((k) => wanted[k] !== undefined && (!have || String(have[k]) !== String(wanted[k])))) {
+      const merged = Object.fromEntries(settings.map((k) => [k, wanted[k] ?? have?.[k]]));
+      actions.push({ op: 'update', kind: 'mailbox-settings', name: address, section: 'mail', method: 'changeMailboxSettings', inputData: { domain, mailbox: entry.mailbox, spam_filter_status: Number(merged.spam_filter_status ?? 0), spam_filter: Number(merged.spam_filter ?? 0), forward_mail_status: merged.forward_mail_status ?? 'no_forward' } });
+    }
+    const current = state.forwards[entry.mailbox] ?? [];
+    for (const f of entry.forwards ?? []) if (!current.includes(f)) actions.push({ op: 'create', kind: 'forward', name: `${address} -> ${f}`, section: 'mail', method: 'forwardListAddMailbox', inputData: { domain, mailbox: entry.mailbox, forward_mailbox: f } });
   }
+  return { actions, skipped };
+}
 
-  const answer = payload.answer;
-  if (!answer || answer.status !== 'success') {
-    const firstErr = answer?.errors?.[0];
-    throw new CliError(`Method failed: ${firstErr?.error_text ?? 'unknown method error'}`, EXIT.API_ERROR, firstErr?.error_code);
+async function readMailState(globalOpts, domain, mailboxes) {
+  const api = (method, inputData) => executeApi({ globalOpts, cmdOpts: {}, section: 'mail', method, inputData });
+  const state = { mailboxes: asList(await api('getMailboxList', { domain })), forwards: {} };
+  for (const mailbox of mailboxes ?? state.mailboxes.map((b) => b.mailbox)) {
+    if (!state.mailboxes.some((b) => b.mailbox === mailbox)) continue;
+    state.forwards[mailbox] = forwardList(await api('forwardListShow', { domain, mailbox }));
   }
-  return answer.result;
+  return state;
 }
 
-async function executeApi({ globalOpts, cmdOpts, section, method, inputData, query, mutate = false, risky = false, riskTitle }) {
-  const cfg = await readConfig(getConfigPath(globalOpts.config));
-  const creds = resolveCredentials(globalOpts, cfg);
-  if (mutate && cmdOpts.dryRun) {
-    return { dryRun: true, section, method, inputData: inputData ?? null, query: query ?? null };
+function formatMailCsv(state) {
+  const lines = [MAIL_CSV_COLUMNS.join(',')];
+  for (const box of state.mailboxes) {
+    const values = [box.mailbox, '', box.spam_filter_status, box.spam_filter, box.forward_mail_status, (state.forwards[box.mailbox] ?? []).join(' ')];
+    lines.push(values.map((v) => csvCell(cellText(v ?? ''))).join(','));
   }
-  if (mutate && risky) {
-    await ensureRiskConfirmation({ cmdOpts, globalOpts, title: riskTitle ?? `${section}/${method}` });
+  return `${lines.join('\n')}\n`;
+}
+
+async function applyMailImport({ globalOpts, actions }) {
+  const applied = [];
+  for (const action of actions) {
+    try {
+      const result = await executeApi({ globalOpts, cmdOpts: {}, section: action.section, method: action.method, mutate: true, inputData: action.inputData });
+      applied.push({ op: action.op, kind: action.kind, name: action.name, detail: action.detail, section: action.section, method: action.method, result });
+    } catch (err) {
+      throw new BegetError(`Mail import failed at ${action.op} ${action.kind} ${action.name}: ${err.message}`, err instanceof BegetError ? err.code : EXIT.GENERIC_ERROR, `${applied.length} of ${actions.length} action(s) completed before the failure`);
+    }
   }
-  return callBeget({ ...creds, section, method, inputData, query, timeoutMs: Number(globalOpts.timeout) });
-}
-
-const program = new Command();
-program
-  .name('beget')
-  .description('CLI for Beget API')
-  .version('1.0.0')
-  .option('--config <path>', 'path to config file')
-  .option('--profile <name>', 'profile to use')
-  .option('--login <login>', 'override login for this invocation')
-  .option('--base-url <url>', 'override API base URL')
-  .option('--timeout <ms>', 'request timeout in milliseconds', '20000')
-  .option('--json', 'JSON output')
-  .option('--yes', 'auto-confirm risky actions');
-
-const auth = program.command('auth').description('Manage local Beget credentials');
-auth.command('add <name>').description('Add/update profile').option('--dry-run').option('--no-input').option('--login <login>').action(async (name, cmdOpts, cmd) => {
-  const globalOpts = cmd.parent.parent.opts();
-  const cfgPath = getConfigPath(globalOpts.config);
-  const cfg = await readConfig(cfgPath);
-  let login = cmdOpts.login ?? globalOpts.login;
-  const apiKey = process.env.BEGET_API_PASSWORD ?? process.env.BEGET_API_KEY ?? (!cmdOpts.noInput ? await promptMasked('Beget API password: ') : null);
-  if (!login && !cmdOpts.noInput) login = await promptLine('Beget login: ');
-  if (!login || !apiKey) throw new CliError('Missing login/api key', EXIT.USAGE_ERROR);
-  const next = structuredClone(cfg);
-  next.profiles[name] = { login, apiKey };
-  if (!next.activeProfile) next.activeProfile = name;
-  if (cmdOpts.dryRun) return printResult({ dryRun: true, action: 'auth.add', name, login, configPath: cfgPath }, { json: jsonModeFrom(globalOpts) });
-  await writeConfig(cfgPath, next);
-  printResult({ ok: true, profile: name, activeProfile: next.activeProfile }, { json: jsonModeFrom(globalOpts) });
-});
-auth.command('list').description('List profiles').action(async (_, cmd) => {
-  const globalOpts = cmd.parent.parent.opts();
-  const cfg = await readConfig(getConfigPath(globalOpts.config));
-  const rows = Object.entries(cfg.profiles).map(([name, p]) => ({ name, login: p.login, active: cfg.activeProfile === name }));
-  printResult(jsonModeFrom(globalOpts) ? { profiles: rows, activeProfile: cfg.activeProfile } : rows.map((r) => `${r.active ? '*' : ' '} ${r.name}\t${r.login}`).join('\n') || 'No profiles configured', { json: jsonModeFrom(globalOpts) });
-});
-auth.command('use <name>').description('Set active profile').option('--dry-run').action(async (name, cmdOpts, cmd) => {
-  const globalOpts = cmd.parent.parent.opts();
-  const cfgPath = getConfigPath(globalOpts.config);
-  const cfg = await readConfig(cfgPath);
-  if (!cfg.profiles[name]) throw new CliError(`Profile '${name}' not found`, EXIT.CONFIG_ERROR);
-  if (cmdOpts.dryRun) return printResult({ dryRun: true, action: 'auth.use', profile: name }, { json: jsonModeFrom(globalOpts) });
-  cfg.activeProfile = name;
-  await writeConfig(cfgPath, cfg);
-  printResult({ ok: true, activeProfile: name }, { json: jsonModeFrom(globalOpts) });
-});
-auth.command('remove <name>').description('Remove profile').option('--dry-run').action(async (name, cmdOpts, cmd) => {
-  const globalOpts = cmd.parent.parent.opts();
-  const cfgPath = getConfigPath(globalOpts.config);
-  const cfg = await readConfig(cfgPath);
-  if (!cfg.profiles[name]) throw new CliError(`Profile '${name}' not found`, EXIT.CONFIG_ERROR);
-  const nextActive = cfg.activeProfile === name ? Object.keys(cfg.profiles).find((k) => k !== name) ?? null : cfg.activeProfile;
-  if (cmdOpts.dryRun) return printResult({ dryRun: true, action: 'auth.remove', profile: name, nextActiveProfile: nextActive }, { json: jsonModeFrom(globalOpts) });
-  delete cfg.profiles[name];
-  cfg.activeProfile = nextActive;
-  await writeConfig(cfgPath, cfg);
-  printResult({ ok: true, removed: name, activeProfile: nextActive }, { json: jsonModeFrom(globalOpts) });
-});
-
-const account = program.command('account').description('Account operations');
-account.command('info').description('user/getAccountInfo').action(async (_, cmd) => {
-  const globalOpts = cmd.parent.parent.opts();
-  const result = await executeApi({ globalOpts, cmdOpts: {}, section: 'user', method: 'getAccountInfo' });
-  printResult(result, { json: jsonModeFrom(globalOpts) });
-});
-account.command('toggle-ssh').description('user/toggleSsh').requiredOption('--status <0|1>').option('--ftplogin <login>').option('--dry-run').action(async (cmdOpts, cmd) => {
-  const globalOpts = cmd.parent.parent.opts();
-  const result = await executeApi({ globalOpts, cmdOpts, section: 'user', method: 'toggleSsh', mutate: true, inputData: { status: Number(cmdOpts.status), ftplogin: cmdOpts.ftplogin } });
-  printResult(result, { json: jsonModeFrom(globalOpts) });
-});
-
-const domains = program.command('domains').description('Domain operations');
-domains.command('list').description('domain/getList').action(async (_, cmd) => {
-  const globalOpts = cmd.parent.parent.opts();
-  printResult(await executeApi({ globalOpts, cmdOpts: {}, section: 'domain', method: 'getList' }), { json: jsonModeFrom(globalOpts) });
-});
-domains.command('zone-list').description('domain/getZoneList').action(async (_, cmd) => {
-  const globalOpts = cmd.parent.parent.opts();
-  printResult(await executeApi({ globalOpts, cmdOpts: {}, section: 'domain', method: 'getZoneList' }), { json: jsonModeFrom(globalOpts) });
-});
-domains.command('add-virtual').description('domain/addVirtual').requiredOption('--hostname <name>').requiredOption('--zone-id <id>').option('--dry-run').action(async (cmdOpts, cmd) => {
-  const globalOpts = cmd.parent.parent.opts();
-  printResult(await executeApi({ globalOpts, cmdOpts, section: 'domain', method: 'addVirtual', mutate: true, inputData: { hostname: cmdOpts.hostname, zone_id: Number(cmdOpts.zoneId) } }), { json: jsonModeFrom(globalOpts) });
-});
-domains.command('delete').description('domain/delete').requiredOption('--id <id>').option('--dry-run').option('--yes').action(async (cmdOpts, cmd) => {
-  const globalOpts = cmd.parent.parent.opts();
-  printResult(await executeApi({ globalOpts, cmdOpts, section: 'domain', method: 'delete', mutate: true, risky: true, riskTitle: 'Delete domain', inputData: { id: Number(cmdOpts.id) } }), { json: jsonModeFrom(globalOpts) });
-});
-domains.command('subdomain-list').description('domain/getSubdomainList').action(async (_, cmd) => {
-  const globalOpts = cmd.parent.parent.opts();
-  printResult(await executeApi({ globalOpts, cmdOpts: {}, section: 'domain', method: 'getSubdomainList' }), { json: jsonModeFrom(globalOpts) });
-});
-domains.command('add-subdomain-virtual').description('domain/addSubdomainVirtual').requiredOption('--subdomain <name>').requiredOption('--domain-id <id>').option('--dry-run').action(async (cmdOpts, cmd) => {
-  const globalOpts = cmd.parent.parent.opts();
-  printResult(await executeApi({ globalOpts, cmdOpts, section: 'domain', method: 'addSubdomainVirtual', mutate: true, inputData: { subdomain: cmdOpts.subdomain, domain_id: Number(cmdOpts.domainId) } }), { json: jsonModeFrom(globalOpts) });
-});
-domains.command('delete-subdomain').description('domain/deleteSubdomain').requiredOption('--id <id>').option('--dry-run').option('--yes').action(async (cmdOpts, cmd) => {
-  const globalOpts = cmd.parent.parent.opts();
-  printResult(await executeApi({ globalOpts, cmdOpts, section: 'domain', method: 'deleteSubdomain', mutate: true, risky: true, riskTitle: 'Delete subdomain', inputData: { id: Number(cmdOpts.id) } }), { json: jsonModeFrom(globalOpts) });
-});
-domains.command('check-to-register').description('domain/checkDomainToRegister').requiredOption('--hostname <name>').requiredOption('--zone-id <id>').requiredOption('--period <years>').action(async (cmdOpts, cmd) => {
-  const globalOpts = cmd.parent.parent.opts();
-  printResult(await executeApi({ globalOpts, cmdOpts, section: 'domain', method: 'checkDomainToRegister', inputData: { hostname: cmdOpts.hostname, zone_id: Number(cmdOpts.zoneId), period: Number(cmdOpts.period) } }), { json: jsonModeFrom(globalOpts) });
-});
-domains.command('php-version-get').description('domain/getPhpVersion').requiredOption('--full-fqdn <fqdn>').action(async (cmdOpts, cmd) => {
-  const globalOpts = cmd.parent.parent.opts();
-  printResult(await executeApi({ globalOpts, cmdOpts, section: 'domain', method: 'getPhpVersion', query: { full_fqdn: cmdOpts.fullFqdn } }), { json: jsonModeFrom(globalOpts) });
-});
-domains.command('php-version-change').description('domain/changePhpVersion').requiredOption('--full-fqdn <fqdn>').requiredOption('--php-version <ver>').option('--is-cgi <bool>', 'true/false', 'false').option('--dry-run').action(async (cmdOpts, cmd) => {
-  const globalOpts = cmd.parent.parent.opts();
-  const isCgi = ['1', 'true', 'yes'].includes(String(cmdOpts.isCgi).toLowerCase());
-  printResult(await executeApi({ globalOpts, cmdOpts, section: 'domain', method: 'changePhpVersion', mutate: true, inputData: { full_fqdn: cmdOpts.fullFqdn, php_version: cmdOpts.phpVersion, is_cgi: isCgi } }), { json: jsonModeFrom(globalOpts) });
-});
-domains.command('directives-get').description('domain/getDirectives').requiredOption('--full-fqdn <fqdn>').action(async (cmdOpts, cmd) => {
-  const globalOpts = cmd.parent.parent.opts();
-  printResult(await executeApi({ globalOpts, cmdOpts, section: 'domain', method: 'getDirectives', query: { full_fqdn: cmdOpts.fullFqdn } }), { json: jsonModeFrom(globalOpts) });
-});
-domains.command('directives-add').description('domain/addDirectives').requiredOption('--full-fqdn <fqdn>').requiredOption('--directives-json <json>').option('--dry-run').action(async (cmdOpts, cmd) => {
-  const globalOpts = cmd.parent.parent.opts();
-  const directives = parseJsonOption(cmdOpts.directivesJson, 'directives-json');
-  printResult(await executeApi({ globalOpts, cmdOpts, section: 'domain', method: 'addDirectives', mutate: true, inputData: { full_fqdn: cmdOpts.fullFqdn, directives_list: directives } }), { json: jsonModeFrom(globalOpts) });
-});
-domains.command('directives-remove').description('domain/removeDirectives').requiredOption('--full-fqdn <fqdn>').requiredOption('--directives-json <json>').option('--dry-run').action(async (cmdOpts, cmd) => {
-  const globalOpts = cmd.parent.parent.opts();
-  const directives = parseJsonOption(cmdOpts.directivesJson, 'directives-json');
-  printResult(await executeApi({ globalOpts, cmdOpts, section: 'domain', method: 'removeDirectives', mutate: true, inputData: { full_fqdn: cmdOpts.fullFqdn, directives_list: directives } }), { json: jsonModeFrom(globalOpts) });
-});
-
-const dns = program.command('dns').description('DNS operations');
-dns.command('list <domain>').description('dns/getData').action(async (domain, _, cmd) => {
-  const globalOpts = cmd.parent.parent.opts();
-  printResult(await executeApi({ globalOpts, cmdOpts: {}, section: 'dns', method: 'getData', inputData: { fqdn: domain } }), { json: jsonModeFrom(globalOpts) });
-});
-dns.command('change-records').description('dns/changeRecords').requiredOption('--fqdn <fqdn>').requiredOption('--records-json <json>').option('--dry-run').action(async (cmdOpts, cmd) => {
-  const globalOpts = cmd.parent.parent.opts();
-  printResult(await executeApi({ globalOpts, cmdOpts, section: 'dns', method: 'changeRecords', mutate: true, inputData: { fqdn: cmdOpts.fqdn, records: parseJsonOption(cmdOpts.recordsJson, 'records-json') } }), { json: jsonModeFrom(globalOpts) });
-});
-dns.command('ns-get <domain>').description('Shortcut for DNS records').action(async (domain, _, cmd) => {
-  const globalOpts = cmd.parent.parent.opts();
-  const result = await executeApi({ globalOpts, cmdOpts: {}, section: 'dns', method: 'getData', inputData: { fqdn: domain } });
-  printResult({ fqdn: result.fqdn, dns: result.records?.DNS ?? [], dns_ip: result.records?.DNS_IP ?? [] }, { json: jsonModeFrom(globalOpts) });
-});
-dns.command('ns-set <domain> <ns1> <ns2>').description('dns/changeRecords shortcut').option('--ip1 <ip>').option('--ip2 <ip>').option('--dry-run').action(async (domain, ns1, ns2, cmdOpts, cmd) => {
-  const globalOpts = cmd.parent.parent.opts();
-  const records = { DNS: [{ priority: 10, value: ns1 }, { priority: 20, value: ns2 }] };
-  if (cmdOpts.ip1 || cmdOpts.ip2) records.DNS_IP = [{ priority: 10, value: cmdOpts.ip1 ?? null }, { priority: 20, value: cmdOpts.ip2 ?? null }];
-  printResult(await executeApi({ globalOpts, cmdOpts, section: 'dns', method: 'changeRecords', mutate: true, inputData: { fqdn: domain, records } }), { json: jsonModeFrom(globalOpts) });
-});
-
-const ftp = program.command('ftp').description('FTP operations');
-ftp.command('list').description('ftp/getList').action(async (_, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts: {}, section: 'ftp', method: 'getList' }), { json: jsonModeFrom(globalOpts) }); });
-ftp.command('add').description('ftp/add').requiredOption('--suffix <suffix>').requiredOption('--homedir <path>').option('--dry-run').option('--no-input').action(async (cmdOpts, cmd) => {
-  const globalOpts = cmd.parent.parent.opts();
-  const password = await getSecret({ cmdOpts, envKeys: ['BEGET_FTP_PASSWORD'], prompt: 'FTP account password: ' });
-  printResult(await executeApi({ globalOpts, cmdOpts, section: 'ftp', method: 'add', mutate: true, inputData: { suffix: cmdOpts.suffix, homedir: cmdOpts.homedir, password } }), { json: jsonModeFrom(globalOpts) });
-});
-ftp.command('change-password').description('ftp/changePassword').requiredOption('--suffix <suffix>').option('--dry-run').option('--no-input').action(async (cmdOpts, cmd) => {
-  const globalOpts = cmd.parent.parent.opts();
-  const password = await getSecret({ cmdOpts, envKeys: ['BEGET_FTP_PASSWORD'], prompt: 'New FTP password: ' });
-  printResult(await executeApi({ globalOpts, cmdOpts, section: 'ftp', method: 'changePassword', mutate: true, inputData: { suffix: cmdOpts.suffix, password } }), { json: jsonModeFrom(globalOpts) });
-});
-ftp.command('delete').description('ftp/delete').requiredOption('--suffix <suffix>').option('--dry-run').option('--yes').action(async (cmdOpts, cmd) => {
-  const globalOpts = cmd.parent.parent.opts();
-  printResult(await executeApi({ globalOpts, cmdOpts, section: 'ftp', method: 'delete', mutate: true, risky: true, riskTitle: 'Delete FTP account', inputData: { suffix: cmdOpts.suffix } }), { json: jsonModeFrom(globalOpts) });
-});
-
-const mail = program.command('mail').description('Mail operations');
-mail.command('mailbox-list').requiredOption('--domain <domain>').description('mail/getMailboxList').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'mail', method: 'getMailboxList', inputData: { domain: cmdOpts.domain } }), { json: jsonModeFrom(globalOpts) }); });
-mail.command('mailbox-password-change').requiredOption('--domain <domain>').requiredOption('--mailbox <name>').option('--dry-run').option('--no-input').description('mail/changeMailboxPassword').action(async (cmdOpts, cmd) => {
-  const globalOpts = cmd.parent.parent.opts();
-  const mailbox_password = await getSecret({ cmdOpts, envKeys: ['BEGET_MAILBOX_PASSWORD'], prompt: 'Mailbox password: ' });
-  printResult(await executeApi({ globalOpts, cmdOpts, section: 'mail', method: 'changeMailboxPassword', mutate: true, inputData: { domain: cmdOpts.domain, mailbox: cmdOpts.mailbox, mailbox_password } }), { json: jsonModeFrom(globalOpts) });
-});
-mail.command('mailbox-create').requiredOption('--domain <domain>').requiredOption('--mailbox <name>').option('--dry-run').option('--no-input').description('mail/createMailbox').action(async (cmdOpts, cmd) => {
-  const globalOpts = cmd.parent.parent.opts();
-  const mailbox_password = await getSecret({ cmdOpts, envKeys: ['BEGET_MAILBOX_PASSWORD'], prompt: 'Mailbox password: ' });
-  printResult(await executeApi({ globalOpts, cmdOpts, section: 'mail', method: 'createMailbox', mutate: true, inputData: { domain: cmdOpts.domain, mailbox: cmdOpts.mailbox, mailbox_password } }), { json: jsonModeFrom(globalOpts) });
-});
-mail.command('mailbox-drop').requiredOption('--domain <domain>').requiredOption('--mailbox <name>').option('--dry-run').option('--yes').description('mail/dropMailbox').action(async (cmdOpts, cmd) => {
-  const globalOpts = cmd.parent.parent.opts();
-  printResult(await executeApi({ globalOpts, cmdOpts, section: 'mail', method: 'dropMailbox', mutate: true, risky: true, riskTitle: 'Drop mailbox', inputData: { domain: cmdOpts.domain, mailbox: cmdOpts.mailbox } }), { json: jsonModeFrom(globalOpts) });
-});
-mail.command('mailbox-settings-change').requiredOption('--domain <domain>').requiredOption('--mailbox <name>').requiredOption('--spam-filter-status <0|1>').requiredOption('--spam-filter <0-100>').requiredOption('--forward-mail-status <mode>').option('--dry-run').description('mail/changeMailboxSettings').action(async (cmdOpts, cmd) => {
-  const globalOpts = cmd.parent.parent.opts();
-  printResult(await executeApi({ globalOpts, cmdOpts, section: 'mail', method: 'changeMailboxSettings', mutate: true, inputData: { domain: cmdOpts.domain, mailbox: cmdOpts.mailbox, spam_filter_status: Number(cmdOpts.spamFilterStatus), spam_filter: Number(cmdOpts.spamFilter), forward_mail_status: cmdOpts.forwardMailStatus } }), { json: jsonModeFrom(globalOpts) });
-});
-mail.command('forward-add').requiredOption('--domain <domain>').requiredOption('--mailbox <name>').requiredOption('--forward-mailbox <email>').option('--dry-run').description('mail/forwardListAddMailbox').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'mail', method: 'forwardListAddMailbox', mutate: true, inputData: { domain: cmdOpts.domain, mailbox: cmdOpts.mailbox, forward_mailbox: cmdOpts.forwardMailbox } }), { json: jsonModeFrom(globalOpts) }); });
-mail.command('forward-delete').requiredOption('--domain <domain>').requiredOption('--mailbox <name>').requiredOption('--forward-mailbox <email>').option('--dry-run').description('mail/forwardListDeleteMailbox').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'mail', method: 'forwardListDeleteMailbox', mutate: true, inputData: { domain: cmdOpts.domain, mailbox: cmdOpts.mailbox, forward_mailbox: cmdOpts.forwardMailbox } }), { json: jsonModeFrom(globalOpts) }); });
-mail.command('forward-show').requiredOption('--domain <domain>').requiredOption('--mailbox <name>').description('mail/forwardListShow').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'mail', method: 'forwardListShow', inputData: { domain: cmdOpts.domain, mailbox: cmdOpts.mailbox } }), { json: jsonModeFrom(globalOpts) }); });
-mail.command('domain-mail-set').requiredOption('--domain <domain>').requiredOption('--domain-mailbox <email>').option('--dry-run').description('mail/setDomainMail').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'mail', method: 'setDomainMail', mutate: true, inputData: { domain: cmdOpts.domain, domain_mailbox: cmdOpts.domainMailbox } }), { json: jsonModeFrom(globalOpts) }); });
-mail.command('domain-mail-clear').requiredOption('--domain <domain>').option('--dry-run').description('mail/clearDomainMail').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'mail', method: 'clearDomainMail', mutate: true, inputData: { domain: cmdOpts.domain } }), { json: jsonModeFrom(globalOpts) }); });
-
-const mysql = program.command('mysql').description('MySQL operations');
-mysql.command('list').description('mysql/getList').action(async (_, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts: {}, section: 'mysql', method: 'getList' }), { json: jsonModeFrom(globalOpts) }); });
-mysql.command('db-add').requiredOption('--suffix <suffix>').option('--dry-run').option('--no-input').description('mysql/addDb').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); const password = await getSecret({ cmdOpts, envKeys: ['BEGET_MYSQL_PASSWORD'], prompt: 'MySQL password: ' }); printResult(await executeApi({ globalOpts, cmdOpts, section: 'mysql', method: 'addDb', mutate: true, inputData: { suffix: cmdOpts.suffix, password } }), { json: jsonModeFrom(globalOpts) }); });
-mysql.command('access-add').requiredOption('--suffix <suffix>').requiredOption('--access <access>').option('--dry-run').option('--no-input').description('mysql/addAccess').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); const password = await getSecret({ cmdOpts, envKeys: ['BEGET_MYSQL_PASSWORD'], prompt: 'MySQL access password: ' }); printResult(await executeApi({ globalOpts, cmdOpts, section: 'mysql', method: 'addAccess', mutate: true, inputData: { suffix: cmdOpts.suffix, access: cmdOpts.access, password } }), { json: jsonModeFrom(globalOpts) }); });
-mysql.command('db-drop').requiredOption('--suffix <suffix>').option('--dry-run').option('--yes').description('mysql/dropDb').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'mysql', method: 'dropDb', mutate: true, risky: true, riskTitle: 'Drop MySQL database', inputData: { suffix: cmdOpts.suffix } }), { json: jsonModeFrom(globalOpts) }); });
-mysql.command('access-drop').requiredOption('--suffix <suffix>').requiredOption('--access <access>').option('--dry-run').option('--yes').description('mysql/dropAccess').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'mysql', method: 'dropAccess', mutate: true, risky: true, riskTitle: 'Drop MySQL access', inputData: { suffix: cmdOpts.suffix, access: cmdOpts.access } }), { json: jsonModeFrom(globalOpts) }); });
-mysql.command('access-password-change').requiredOption('--suffix <suffix>').requiredOption('--access <access>').option('--dry-run').option('--no-input').description('mysql/changeAccessPassword').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); const password = await getSecret({ cmdOpts, envKeys: ['BEGET_MYSQL_PASSWORD'], prompt: 'New MySQL password: ' }); printResult(await executeApi({ globalOpts, cmdOpts, section: 'mysql', method: 'changeAccessPassword', mutate: true, inputData: { suffix: cmdOpts.suffix, access: cmdOpts.access, password } }), { json: jsonModeFrom(globalOpts) }); });
-
-const backup = program.command('backup').description('Backup operations');
-backup.command('file-backup-list').description('backup/getFileBackupList').action(async (_, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts: {}, section: 'backup', method: 'getFileBackupList' }), { json: jsonModeFrom(globalOpts) }); });
-backup.command('mysql-backup-list').description('backup/getMysqlBackupList').action(async (_, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts: {}, section: 'backup', method: 'getMysqlBackupList' }), { json: jsonModeFrom(globalOpts) }); });
-backup.command('file-list').description('backup/getFileList').option('--backup-id <id>').option('--path <path>', '/', 'path in backup').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'backup', method: 'getFileList', inputData: { backup_id: cmdOpts.backupId ? Number(cmdOpts.backupId) : undefined, path: cmdOpts.path } }), { json: jsonModeFrom(globalOpts) }); });
-backup.command('mysql-list').description('backup/getMysqlList').option('--backup-id <id>').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'backup', method: 'getMysqlList', inputData: { backup_id: cmdOpts.backupId ? Number(cmdOpts.backupId) : undefined } }), { json: jsonModeFrom(globalOpts) }); });
-backup.command('restore-file').description('backup/restoreFile').requiredOption('--backup-id <id>').requiredOption('--paths <csv>').option('--dry-run').option('--yes').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'backup', method: 'restoreFile', mutate: true, risky: true, riskTitle: 'Restore files from backup', inputData: { backup_id: Number(cmdOpts.backupId), paths: parseCsv(cmdOpts.paths) } }), { json: jsonModeFrom(globalOpts) }); });
-backup.command('restore-mysql').description('backup/restoreMysql').requiredOption('--backup-id <id>').requiredOption('--bases <csv>').option('--dry-run').option('--yes').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'backup', method: 'restoreMysql', mutate: true, risky: true, riskTitle: 'Restore MySQL databases from backup', inputData: { backup_id: Number(cmdOpts.backupId), bases: parseCsv(cmdOpts.bases) } }), { json: jsonModeFrom(globalOpts) }); });
-backup.command('download-file').description('backup/downloadFile').requiredOption('--paths <csv>').option('--backup-id <id>').option('--dry-run').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'backup', method: 'downloadFile', mutate: true, inputData: { backup_id: cmdOpts.backupId ? Number(cmdOpts.backupId) : undefined, paths: parseCsv(cmdOpts.paths) } }), { json: jsonModeFrom(globalOpts) }); });
-backup.command('download-mysql').description('backup/downloadMysql').requiredOption('--bases <csv>').option('--backup-id <id>').option('--dry-run').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'backup', method: 'downloadMysql', mutate: true, inputData: { backup_id: cmdOpts.backupId ? Number(cmdOpts.backupId) : undefined, bases: parseCsv(cmdOpts.bases) } }), { json: jsonModeFrom(globalOpts) }); });
-backup.command('log').description('backup/getLog').action(async (_, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts: {}, section: 'backup', method: 'getLog' }), { json: jsonModeFrom(globalOpts) }); });
-
-const cron = program.command('cron').description('Cron operations');
-cron.command('list').description('cron/getList').action(async (_, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts: {}, section: 'cron', method: 'getList' }), { json: jsonModeFrom(globalOpts) }); });
-cron.command('add').description('cron/add').requiredOption('--minutes <m>').requiredOption('--hours <h>').requiredOption('--days <d>').requiredOption('--months <m>').requiredOption('--weekdays <w>').requiredOption('--command <cmd>').option('--dry-run').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'cron', method: 'add', mutate: true, inputData: { minutes: cmdOpts.minutes, hours: cmdOpts.hours, days: cmdOpts.days, months: cmdOpts.months, weekdays: cmdOpts.weekdays, command: cmdOpts.command } }), { json: jsonModeFrom(globalOpts) }); });
-cron.command('edit').description('cron/edit').requiredOption('--row-number <id>').requiredOption('--minutes <m>').requiredOption('--hours <h>').requiredOption('--days <d>').requiredOption('--months <m>').requiredOption('--weekdays <w>').requiredOption('--command <cmd>').option('--dry-run').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'cron', method: 'edit', mutate: true, inputData: { row_number: Number(cmdOpts.rowNumber), minutes: cmdOpts.minutes, hours: cmdOpts.hours, days: cmdOpts.days, months: cmdOpts.months, weekdays: cmdOpts.weekdays, command: cmdOpts.command } }), { json: jsonModeFrom(globalOpts) }); });
-cron.command('delete').description('cron/delete').requiredOption('--row-number <id>').option('--dry-run').option('--yes').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'cron', method: 'delete', mutate: true, risky: true, riskTitle: 'Delete cron task', inputData: { row_number: Number(cmdOpts.rowNumber) } }), { json: jsonModeFrom(globalOpts) }); });
-cron.command('change-hidden-state').description('cron/changeHiddenState').requiredOption('--row-number <id>').requiredOption('--is-hidden <0|1>').option('--dry-run').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'cron', method: 'changeHiddenState', mutate: true, inputData: { row_number: Number(cmdOpts.rowNumber), is_hidden: Number(cmdOpts.isHidden) } }), { json: jsonModeFrom(globalOpts) }); });
-cron.command('email-get').description('cron/getEmail').action(async (_, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts: {}, section: 'cron', method: 'getEmail' }), { json: jsonModeFrom(globalOpts) }); });
-cron.command('email-set').description('cron/setEmail').requiredOption('--email <email>').option('--dry-run').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'cron', method: 'setEmail', mutate: true, inputData: { email: cmdOpts.email } }), { json: jsonModeFrom(globalOpts) }); });
-
-const sites = program.command('sites').description('Site operations (API section: site)');
-sites.command('list').description('site/getList').action(async (_, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts: {}, section: 'site', method: 'getList' }), { json: jsonModeFrom(globalOpts) }); });
-sites.command('add').description('site/add').requiredOption('--name <dir>').option('--dry-run').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'site', method: 'add', mutate: true, inputData: { name: cmdOpts.name } }), { json: jsonModeFrom(globalOpts) }); });
-sites.command('delete').description('site/delete').requiredOption('--id <id>').option('--dry-run').option('--yes').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'site', method: 'delete', mutate: true, risky: true, riskTitle: 'Delete site', inputData: { id: Number(cmdOpts.id) } }), { json: jsonModeFrom(globalOpts) }); });
-sites.command('link-domain').description('site/linkDomain').requiredOption('--domain-id <id>').requiredOption('--site-id <id>').option('--dry-run').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'site', method: 'linkDomain', mutate: true, inputData: { domain_id: Number(cmdOpts.domainId), site_id: Number(cmdOpts.siteId) } }), { json: jsonModeFrom(globalOpts) }); });
-sites.command('unlink-domain').description('site/unlinkDomain').requiredOption('--domain-id <id>').option('--dry-run').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'site', method: 'unlinkDomain', mutate: true, inputData: { domain_id: Number(cmdOpts.domainId) } }), { json: jsonModeFrom(globalOpts) }); });
-sites.command('freeze').description('site/freeze').requiredOption('--id <id>').option('--excluded-paths <csv>').option('--dry-run').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'site', method: 'freeze', mutate: true, inputData: { id: Number(cmdOpts.id), excludedPaths: cmdOpts.excludedPaths ? parseCsv(cmdOpts.excludedPaths) : undefined } }), { json: jsonModeFrom(globalOpts) }); });
-sites.command('unfreeze').description('site/unfreeze').requiredOption('--id <id>').option('--dry-run').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'site', method: 'unfreeze', mutate: true, inputData: { id: Number(cmdOpts.id) } }), { json: jsonModeFrom(globalOpts) }); });
-sites.command('is-frozen').description('site/isSiteFrozen').requiredOption('--site-id <id>').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'site', method: 'isSiteFrozen', inputData: { site_id: Number(cmdOpts.siteId) } }), { json: jsonModeFrom(globalOpts) }); });
-
-const stats = program.command('stats').description('Statistics operations (API section: stat)');
-stats.command('sites-list-load').description('stat/getSitesListLoad').action(async (_, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts: {}, section: 'stat', method: 'getSitesListLoad' }), { json: jsonModeFrom(globalOpts) }); });
-stats.command('site-load').description('stat/getSiteLoad').requiredOption('--site-name <name>').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'stat', method: 'getSiteLoad', inputData: { site_name: cmdOpts.siteName } }), { json: jsonModeFrom(globalOpts) }); });
-stats.command('db-list-load').description('stat/getDbListLoad').action(async (_, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts: {}, section: 'stat', method: 'getDbListLoad' }), { json: jsonModeFrom(globalOpts) }); });
-stats.command('db-load').description('stat/getDbLoad').requiredOption('--db-name <name>').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'stat', method: 'getDbLoad', inputData: { db_name: cmdOpts.dbName } }), { json: jsonModeFrom(globalOpts) }); });
-
-program.configureOutput({ outputError: (str, write) => write(str) });
+  return applied;
+}
+
+const ROTATE_KINDS = ['ftp', 'mysql', 'mail'];
+
+function globPattern(glob) {
+  return new RegExp(`^${String(glob).split('').map((ch) => (ch === '*' ? '.*' : ch === '?' ? '.' : ch.replace(/[.+^${}()|[\]\\]/g, '\\$&'))).join('')}$`, 'i');
+}
+
+async function readRotateTargets(globalOpts, kinds, mailDomains) {
+  const api = async (section, method, inputData) => asList(await executeApi({ globalOpts, cmdOpts: {}, section, method, inputData }));
+  const targets = [];
+  if (kinds.includes('ftp')) {
+    for (const row of await api('ftp', 'getList')) targets.push({ kind: 'ftp', name: row.login, section: 'ftp', method: 'changePassword', input: (password) => ({ suffix: dbSuffix(row.login), password }) });
+  }
+  if (kinds.includes('mysql')) {
+    for (const db of await api('mysql', 'getList')) {
+      for (const item of asList(db.accesses)) {
+        const access = item?.access ?? item;
+        targets.push({ kind: 'mysql', name: `${db.name}@${access}`, section: 'mysql', method: 'changeAccessPassword', input: (password) => ({ suffix: dbSuffix(db.name), access, password }) });
+      }
+    }
+  }
+  if (kinds.includes('mail')) {
+    const domains = mailDomains.length ? mailDomains : (await api('domain', 'getList')).map((d) => d.fqdn);
+    for (const domain of domains) {
+      for (const box of await api('mail', 'getMailboxList', { domain })) targets.push({ kind: 'mail', name: `${box.mailbox}@${domain}`, section: 'mail', method: 'changeMailboxPassword', input: (password) => ({ domain, mailbox: box.mailbox, mailbox_password: password }) });
+    }
+  }
+  return targets;
+}
+
+function envSecretName(secret) {
+  return `BEGET_${secret.kind}_${secret.name}`.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+}
+
+// Secrets whose change failed with an unknown outcome stay in the output marked
+// `possiblyApplied`: the API may have taken the new password.
+function formatRotatedSecrets(secrets, format) {
+  if (format === 'env') return `${secrets.map((x) => `${x.possiblyApplied ? '# possibly applied (outcome unknown)\n' : ''}${envSecretName(x)}='${x.password}'`).join('\n')}\n`;
+  return `${JSON.stringify({ rotatedAt: new Date().toISOString(), secrets }, null, 2)}\n`;
+}
+
+function runSecretsHook(command, secrets, consequence) {
+  const res = spawnSync(command, { shell: true, input: formatRotatedSecrets(secrets, 'json'), stdio: ['pipe', 2, 2] });
+  if (res.error && res.error.code !== 'EPIPE') throw new BegetError(`--exec hook failed: ${res.error.message}; ${consequence}`, EXIT.GENERIC_ERROR);
+  if (res.status !== 0) throw new BegetError(`--exec hook exited with ${res.status ?? res.signal}; ${consequence}`, EXIT.GENERIC_ERROR);
+}
+
+// Inside batch and fan-out runs the state is the operation's result instead of the exit code.
+function printNagios(state, line) {
+  if (batchContext.getStore()) return printResult({ state, exitCode: NAGIOS[state], message: line });
+  printResult(line);
+  process.exitCode = NAGIOS[state];
+}
+
+const LOAD_NAME_KEYS = ['site_name', 'db_name', 'name', 'site', 'db', 'fqdn'];
+const LOAD_PRIMARY_KEYS = ['cpu', 'cpu_load', 'load', 'avg', 'average'];
+
+function isLoadNumber(value) {
+  return (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) && Number.isFinite(Number(value));
+}
+
+function loadMetrics(value) {
+  if (isLoadNumber(value)) return { load: Number(value) };
+  if (!value || typeof value !== 'object') return {};
+  const entries = Object.entries(value).filter(([k, v]) => isLoadNumber(v) && !LOAD_NAME_KEYS.includes(k));
+  if (entries.length && entries.every(([k]) => /^\d{4}-\d\d-\d\d|^\d{9,}$/.test(k))) {
+    const [, latest] = entries.sort(([a], [b]) => a.localeCompare(b)).pop();
+    return { load: Number(latest) };
+  }
+  return Object.fromEntries(entries.map(([k, v]) => [k, Number(v)]));
+}
+
+function normalizeLoad(result) {
+  if (Array.isArray(result)) return result.map((row, i) => ({ name: String(LOAD_NAME_KEYS.map((k) => row?.[k]).find((v) => v !== undefined) ?? i), metrics: loadMetrics(row) }));
+  if (result && typeof result === 'object') return Object.entries(result).map(([name, value]) => ({ name, metrics: loadMetrics(value) }));
+  return [];
+}
+
+function primaryLoad(metrics) {
+  const key = LOAD_PRIMARY_KEYS.find((k) => metrics[k] !== undefined) ?? Object.keys(metrics)[0];
+  return key === undefined ? undefined : { key, value: metrics[key] };
+}
+
+async function readLoadStats(globalOpts, { sites = true, dbs = true } = {}) {
+  const api = (method) => executeApi({ globalOpts, cmdOpts: {}, section: 'stat', method });
+  return {
+    sites: sites ? normalizeLoad(await api('getSitesListLoad')) : [],
+    dbs: dbs ? normalizeLoad(await api('getDbListLoad')) : [],
+  };
+}
+
+function parseThreshold(value, label) {
+  if (value === undefined) return undefined;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw new BegetError(`${label} must be a non-negative number`, EXIT.USAGE_ERROR);
+  return n;
+}
+
+function checkLoadStats(stats, limits) {
+  const problems = [];
+  const perfdata = [];
+  for (const [kind, rows, { warn, max }] of [['site', stats.sites, limits.site], ['db', stats.dbs, limits.db]]) {
+    for (const row of rows) {
+      const load = primaryLoad(row.metrics);
+      if (!load) continue;
+      perfdata.push(`'${kind}_${row.name}'=${load.value};${warn ?? ''};${max ?? ''}`);
+      const state = max !== undefined && load.value > max ? 'CRITICAL' : warn !== undefined && load.value > warn ? 'WARNING' : 'OK';
+      if (state !== 'OK') problems.push({ state, text: `${kind} ${row.name} ${load.key} ${load.value} > ${state === 'CRITICAL' ? max : warn}` });
+    }
+  }
+  const state = problems.some((p) => p.state === 'CRITICAL') ? 'CRITICAL' : problems.length ? 'WARNING' : 'OK';
+  const counted = [['site', stats.sites], ['db', stats.dbs]].filter(([kind]) => limits[kind].warn !== undefined || limits[kind].max !== undefined);
+  const checked = `${counted.map(([kind, rows]) => `${rows.length} ${kind}(s)`).join(', ')} checked`;
+  const summary = problems.length ? `${problems.map((p) => p.text).join(', ')}; ${checked}` : checked;
+  return { state, line: `STATS ${state} - ${summary}${perfdata.length ? ` | ${perfdata.join(' ')}` : ''}` };
+}
+
+function promLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatPrometheus(stats, now = Date.now()) {
+  const lines = [];
+  for (const [metric, label, rows, help] of [['beget_site_load', 'site', stats.sites, 'Site load from stat/getSitesListLoad'], ['beget_db_load', 'db', stats.dbs, 'Database load from stat/getDbListLoad']]) {
+    lines.push(`# HELP ${metric} ${help}`, `# TYPE ${metric} gauge`);
+    for (const row of rows) {
+      for (const [key, value] of Object.entries(row.metrics)) lines.push(`${metric}{${label}="${promLabel(row.name)}",metric="${promLabel(key)}"} ${value}`);
+    }
+  }
+  lines.push('# HELP beget_stats_last_update_seconds Unix time of the last successful stats export', '# TYPE beget_stats_last_update_seconds gauge', `beget_stats_last_update_seconds ${Math.floor(now / 1000)}`);
+  return `${lines.join('\n')}\n`;
+}
+
+async function writeFileAtomic(file, text) {
+  const tmp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+  try {
+    await fs.writeFile(tmp, text);
+    await fs.rename(tmp, file);
+  } catch (err) {
+    await fs.rm(tmp, { force: true });
+    throw new BegetError(`Failed to write ${file}: ${err.message}`, EXIT.GENERIC_ERROR);
+  }
+}
+
+function loadChanges(previous, current) {
+  const changes = [];
+  for (const [kind, rows] of [['site', current.sites], ['db', current.dbs]]) {
+    const before = new Map((kind === 'site' ? previous?.sites : previous?.dbs)?.map((r) => [r.name, r.metrics]) ?? []);
+    for (const row of rows) {
+      for (const [key, value] of Object.entries(row.metrics)) {
+        const old = before.get(row.name)?.[key];
+        if (old !== value) changes.push({ kind, name: row.name, metric: key, from: old ?? null, to: value });
+      }
+    }
+  }
+  return changes;
+}
+
+const SNAPSHOT_KINDS = ['account', 'zones', 'domains', 'subdomains', 'dns', 'php', 'directives', 'ftp', 'mailboxes', 'forwards', 'mysql', 'cron', 'sites', 'frozen'];
+const SNAPSHOT_VOLATILE_KEYS = new Set(['size', 'user_quota', 'user_mysqlsize', 'user_bill', 'user_bills', 'user_balance', 'user_days_to_block']);
+const SNAPSHOT_VOLATILE_PATTERN = /load|uptime|current/i;
+
+function snapshotValue(value) {
+  if (Array.isArray(value)) return value.map(snapshotValue);
+  if (!value || typeof value !== 'object') return value ?? null;
+  return Object.fromEntries(Object.keys(value).sort().filter((k) => value[k] !== undefined && !SNAPSHOT_VOLATILE_KEYS.has(k) && !SNAPSHOT_VOLATILE_PATTERN.test(k)).map((k) => [k, snapshotValue(value[k])]));
+}
+
+function snapshotCollection(entries) {
+  const out = {};
+  for (const [key, value] of [...entries].sort(([a], [b]) => String(a).localeCompare(String(b)))) {
+    let unique = String(key);
+    for (let n = 2; Object.hasOwn(out, unique); n += 1) unique = `${key} #${n}`;
+    out[unique] = snapshotValue(value);
+  }
+  return out;
+}
+
+function zoneEntries(zones) {
+  if (Array.isArray(zones)) return zones.map((z) => [z.zone ?? z.name ?? z.id, z]);
+  return Object.entries(zones ?? {});
+}
+
+async function takeSnapshot(globalOpts) {
+  const api = (section, method, inputData, query) => executeApi({ globalOpts, cmdOpts: {}, section, method, inputData, query });
+  const errors = [];
+  const each = async (resource, read) => {
+    try {
+      return await read();
+    } catch (err) {
+      if (!(err instanceof BegetApiError)) throw err;
+      errors.push({ resource, error: err.message });
+      return { error: err.apiCode ?? err.message };
+    }
+  };
+  const rows = async (resource, read, keyOf) => {
+    const list = await each(resource, async () => asList(await read()));
+    return Array.isArray(list) ? list.map((row) => [keyOf(row), row]) : [['!error', list]];
+  };
+  const { credentials } = await sessionProfile(globalOpts);
+  const domains = asList(await api('domain', 'getList'));
+  const subdomains = asList(await api('domain', 'getSubdomainList'));
+  const sites = asList(await api('site', 'getList'));
+  const siteKey = (s) => s.path ?? s.name ?? String(s.id);
+  const snap = {
+    account: [[credentials.login, await api('user', 'getAccountInfo')]],
+    zones: zoneEntries(await api('domain', 'getZoneList')),
+    domains: domains.map((d) => [d.fqdn, d]),
+    subdomains: subdomains.map((d) => [d.fqdn, d]),
+    dns: [],
+    php: [],
+    directives: [],
+    ftp: await rows('ftp', () => api('ftp', 'getList'), (r) => r.login),
+    mailboxes: [],
+    forwards: [],
+    mysql: await rows('mysql', () => api('mysql', 'getList'), (db) => db.name),
+    cron: await rows('cron', () => api('cron', 'getList'), cronJobKey),
+    sites: sites.map((s) => [siteKey(s), s]),
+    frozen: [],
+  };
+  snap.mysql = snap.mysql.map(([key, db]) => [key, db.accesses ? { ...db, accesses: asList(db.accesses).map((a) => a?.access ?? a).sort() } : db]);
+  for (const fqdn of [...domains, ...subdomains].map((d) => d.fqdn).filter(Boolean)) {
+    snap.dns.push([fqdn, await each(`dns ${fqdn}`, async () => (await api('dns', 'getData', { fqdn }))?.records ?? {})]);
+    snap.php.push([fqdn, await each(`php ${fqdn}`, () => api('domain', 'getPhpVersion', undefined, { full_fqdn: fqdn }))]);
+    snap.directives.push([fqdn, await each(`directives ${fqdn}`, async () => asList(await api('domain', 'getDirectives', undefined, { full_fqdn: fqdn })).map(directiveKey).sort())]);
+  }
+  for (const d of domains) {
+    for (const [mailbox, box] of await rows(`mailboxes ${d.fqdn}`, () => api('mail', 'getMailboxList', { domain: d.fqdn }), (b) => b.mailbox)) {
+      const address = `${mailbox}@${d.fqdn}`;
+      snap.mailboxes.push([address, box]);
+      if (mailbox === '!error') continue;
+      snap.forwards.push([address, await each(`forwards ${address}`, async () => forwardList(await api('mail', 'forwardListShow', { domain: d.fqdn, mailbox })).sort())]);
+    }
+  }
+  for (const s of sites) snap.frozen.push([siteKey(s), await each(`frozen ${siteKey(s)}`, () => api('site', 'isSiteFrozen', { site_id: Number(s.id) }))]);
+  const meta = { createdAt: new Date().toISOString(), login: credentials.login, profile: credentials.selectedProfile ?? null, errors };
+  return { meta, ...Object.fromEntries(SNAPSHOT_KINDS.map((kind) => [kind, snapshotCollection(snap[kind])])) };
+}
+
+function snapshotJson(value) {
+  return `${JSON.stringify(value, null, 2)}\n`;
+}
+
+async function writeSnapshot(dir, snapshot) {
+  await fs.mkdir(dir, { recursive: true });
+  const files = [];
+  for (const kind of ['meta', ...SNAPSHOT_KINDS]) {
+    const file = path.join(dir, `${kind}.json`);
+    await fs.writeFile(file, snapshotJson(snapshot[kind]), { mode: 0o600 });
+    files.push(file);
+  }
+  return files;
+}
+
+async function readSnapshot(source) {
+  let stat;
+  try {
+    stat = await fs.stat(source);
+  } catch (err) {
+    throw new BegetError(`Failed to read snapshot: ${err.message}`, EXIT.USAGE_ERROR);
+  }
+  const parse = (text, file) => {
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      throw new BegetError(`Snapshot ${file} is not valid JSON: ${err.message}`, EXIT.USAGE_ERROR);
+    }
+  };
+  if (!stat.isDirectory()) return parse(await readTextInput(source, 'snapshot'), source);
+  const snapshot = {};
+  for (const kind of ['meta', ...SNAPSHOT_KINDS]) {
+    const file = path.join(source, `${kind}.json`);
+    const text = await fs.readFile(file, 'utf8').catch((err) => {
+      if (err.code === 'ENOENT') return null;
+      throw new BegetError(`Failed to read snapshot: ${err.message}`, EXIT.USAGE_ERROR);
+    });
+    if (text !== null) snapshot[kind] = parse(text, file);
+  }
+  if (!SNAPSHOT_KINDS.some((kind) => snapshot[kind])) throw new BegetError(`${source} does not contain a snapshot (expected ${SNAPSHOT_KINDS.join('.json, ')}.json)`, EXIT.USAGE_ERROR);
+  return snapshot;
+}
+
+function changedFields(before, after) {
+  const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+  if (same(before, after)) return [];
+  const isMap = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+  if (!isMap(before) || !isMap(after)) return [{ field: null, from: before, to: after }];
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])].sort().filter((f) => !same(before[f], after[f])).map((field) => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+}
+
+function diffSnapshots(from, to) {
+  const changes = [];
+  for (const kind of SNAPSHOT_KINDS) {
+    const before = snapshotValue(from[kind] ?? {});
+    const after = snapshotValue(to[kind] ?? {});
+    for (const key of [...new Set([...Object.keys(before), ...Object.keys(after)])].sort()) {
+      if (!Object.hasOwn(after, key)) changes.push({ op: 'remove', kind, key, field: null, from: before[key], to: null });
+      else if (!Object.hasOwn(before, key)) changes.push({ op: 'add', kind, key, field: null, from: null, to: after[key] });
+      else for (const change of changedFields(before[key], after[key])) changes.push({ op: 'change', kind, key, ...change });
+    }
+  }
+  return changes;
+}
+
+function driftSummary(changes) {
+  const count = (op) => changes.filter((c) => c.op === op).length;
+  return { add: count('add'), remove: count('remove'), change: count('change') };
+}
+
+function formatDrift(changes) {
+  if (!changes.length) return 'No drift.';
+  const sign = { add: '+', remove: '-', change: '~' };
+  const summary = driftSummary(changes);
+  return [
+    ...changes.map((c) => `${sign[c.op]} ${c.kind} ${c.key}${c.op === 'change' ? `${c.field ? ` ${c.field}` : ''}: ${cellText(c.from) || '(none)'} -> ${cellText(c.to) || '(none)'}` : ''}`),
+    '',
+    `Drift: ${summary.add} added, ${summary.remove} removed, ${summary.change} changed.`,
+  ].join('\n');
+}
+
+function auditLogPath(configPath) {
+  return path.join(path.dirname(configPath), 'audit.jsonl');
+}
+
+async function cronRow(api, rowNumber) {
+  return asList(await api('cron', 'getList')).find((r) => Number(r.row_number) === Number(rowNumber)) ?? null;
+}
+
+// `before` reads the state a mutation is about to overwrite; `undo` builds the
+// inverse call from the logged input and that capture (null when there is none).
+const AUDIT_INVERSES = {
+  'dns/changeRecords': {
+    before: async (api, input) => (await api('dns', 'getData', { fqdn: input.fqdn }))?.records ?? null,
+    undo: (input, before) => before && { section: 'dns', method: 'changeRecords', inputData: { fqdn: input.fqdn, records: toChangeRecordsInput(normalizeDnsRecords(before)) } },
+  },
+  'domain/changePhpVersion': {
+    before: (api, input) => api('domain', 'getPhpVersion', undefined, { full_fqdn: input.full_fqdn }),
+    undo: (input, before) => before && { section: 'domain', method: 'changePhpVersion', inputData: { full_fqdn: input.full_fqdn, php_version: String(before.php_version ?? before), is_cgi: Boolean(before.is_cgi) } },
+  },
+  'domain/addDirectives': {
+    before: async (api, input) => asList(await api('domain', 'getDirectives', undefined, { full_fqdn: input.full_fqdn })).map(directiveKey),
+    undo: (input, before) => {
+      const added = before && asList(input.directives_list).filter((x) => !before.includes(directiveKey(x)));
+      return added?.length ? { section: 'domain', method: 'removeDirectives', inputData: { full_fqdn: input.full_fqdn, directives_list: added } } : null;
+    },
+  },
+  'domain/removeDirectives': {
+    before: async (api, input) => asList(await api('domain', 'getDirectives', undefined, { full_fqdn: input.full_fqdn })).map(directiveKey),
+    undo: (input, before) => {
+      const removed = before && asList(input.directives_list).filter((x) => before.includes(directiveKey(x)));
+      return removed?.length ? { section: 'domain', method: 'addDirectives', inputData: { full_fqdn: input.full_fqdn, directives_list: removed } } : null;
+    },
+  },
+  'cron/edit': {
+    before: (api, input) => cronRow(api, input.row_number),
+    undo: (input, before) => before && { section: 'cron', method: 'edit', inputData: { row_number: Number(input.row_number), ...cronJobInput(before) } },
+  },
+  'cron/delete': {
+    before: (api, input) => cronRow(api, input.row_number),
+    undo: (input, before) => before && { section: 'cron', method: 'add', inputData: cronJobInput(before) },
+  },
+  'cron/changeHiddenState': {
+    before: (api, input) => cronRow(api, input.row_number),
+    undo: (input, before) => before && { section: 'cron', method: 'changeHiddenState', inputData: { row_number: Number(input.row_number), is_hidden: cronIsHidden(before) ? 1 : 0 } },
+  },
+  'mail/changeMailboxSettings': {
+    before: async (api, input) => asList(await api('mail', 'getMailboxList', { domain: input.domain })).find((b) => b.mailbox === input.mailbox) ?? null,
+    undo: (input, before) => before && { section: 'mail', method: 'changeMailboxSettings', inputData: { domain: input.domain, mailbox: input.mailbox, spam_filter_status: Number(before.spam_filter_status ?? 0), spam_filter: Number(before.spam_filter ?? 0), forward_mail_status: before.forward_mail_status } },
+  },
+  'mail/forwardListAddMailbox': {
+    before: async (api, input) => forwardList(await api('mail', 'forwardListShow', { domain: input.domain, mailbox: input.mailbox })),
+    undo: (input, before) => before && !before.includes(input.forward_mailbox) && { section: 'mail', method: 'forwardListDeleteMailbox', inputData: { domain: input.domain, mailbox: input.mailbox, forward_mailbox: input.forward_mailbox } },
+  },
+  'mail/forwardListDeleteMailbox': {
+    before: async (api, input) => forwardList(await api('mail', 'forwardListShow', { domain: input.domain, mailbox: input.mailbox })),
+    undo: (input, before) => before?.includes(input.forward_mailbox) && { section: 'mail', method: 'forwardListAddMailbox', inputData: { domain: input.domain, mailbox: input.mailbox, forward_mailbox: input.forward_mailbox } },
+  },
+  'site/linkDomain': {
+    before: async (api, input) => ({ site_id: domainSiteId(asList(await api('site', 'getList')), input.domain_id) }),
+    undo: (input, before) => {
+      if (!before || Number(before.site_id) === Number(input.site_id)) return null;
+      if (before.site_id === null) return { section: 'site', method: 'unlinkDomain', inputData: { domain_id: input.domain_id } };
+      return { section: 'site', method: 'linkDomain', inputData: { domain_id: input.domain_id, site_id: Number(before.site_id) } };
+    },
+  },
+  'site/unlinkDomain': {
+    before: async (api, input) => domainSiteId(asList(await api('site', 'getList')), input.domain_id),
+    undo: (input, before) => before && { section: 'site', method: 'linkDomain', inputData: { domain_id: input.domain_id, site_id: Number(before) } },
+  },
+  'site/freeze': {
+    before: async (api, input) => ({ frozen: isFrozen(await api('site', 'isSiteFrozen', { site_id: Number(input.id) })) }),
+    undo: (input, before) => before && !before.frozen && { section: 'site', method: 'unfreeze', inputData: { id: input.id } },
+  },
+  'site/unfreeze': {
+    before: async (api, input) => ({ frozen: isFrozen(await api('site', 'isSiteFrozen', { site_id: Number(input.id) })) }),
+    undo: (input, before) => before?.frozen && { section: 'site', method: 'freeze', inputData: { id: input.id } },
+  },
+};
+
+function domainSiteId(sites, domainId) {
+  return sites.find((s) => asList(s.domains).some((d) => Number(d?.id ?? d) === Number(domainId)))?.id ?? null;
+}
+
+function isFrozen(value) {
+  return value === true || Number(value) === 1;
+}
+
+// Cron commands often carry credentials inline (mysqldump -p..., PASSWORD=..., user:pass@host).
+function redactCommandLine(text) {
+  return text
+    .replace(/(\s-p)([^\s-]\S*)/g, '$1***')
+    .replace(/(--pass(?:word|wd)?\s+)(\S+)/gi, '$1***')
+    .replace(/(\b[\w-]*(?:pass(?:word|wd)?|secret|token|api_?key)[\w-]*=)(\S+)/gi, '$1***')
+    .replace(/(:\/\/[^\s:/@]+:)[^\s@]+@/g, '$1***@');
+}
+
+function redactCapture(value) {
+  const walk = (v) => (Array.isArray(v) ? v.map(walk) : v && typeof v === 'object' ? Object.fromEntries(Object.entries(v).map(([k, x]) => [k, k === 'command' && typeof x === 'string' ? redactCommandLine(x) : walk(x)])) : v);
+  return walk(redactSecrets(value));
+}
+
+async function auditEntry(globalOpts, client, { section, method, inputData, query, undoOf }) {
+  const entry = { id: crypto.randomBytes(4).toString('hex'), time: new Date().toISOString(), profile: client.profile, login: client.login, section, method, inputData: redactSecrets(inputData ?? null), query: query ?? null };
+  if (undoOf) entry.undoOf = undoOf;
+  const capture = AUDIT_INVERSES[`${section}/${method}`]?.before;
+  if (capture && inputData) {
+    try {
+      const before = await capture((s, m, input, q) => executeApi({ globalOpts, cmdOpts: {}, section: s, method: m, inputData: input, query: q }), inputData);
+      entry.before = redactCapture(before);
+      if (JSON.stringify(entry.before) !== JSON.stringify(before)) entry.beforeRedacted = true;
+    } catch (err) {
+      entry.captureError = err.message;
+      stderr.write(`Warning: could not read the state before ${section}/${method} (${err.message}); this change cannot be undone\n`);
+    }
+  }
+  return entry;
+}
+
+async function appendAuditEntry(globalOpts, entry) {
+  const file = auditLogPath(getConfigPath(globalOpts.config));
+  try {
+    await ensureParentSecure(file);
+    await fs.appendFile(file, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+  } catch (err) {
+    stderr.write(`Warning: failed to write audit log ${file}: ${err.message}\n`);
+  }
+}
+
+async function readAuditLog(configPath) {
+  let text;
+  try {
+    text = await fs.readFile(auditLogPath(configPath), 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw new BegetError(`Failed to read audit log: ${err.message}`, EXIT.CONFIG_ERROR);
+  }
+  return text.split('\n').filter(Boolean).flatMap((line) => {
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      return [];
+    }
+  });
+}
+
+function auditInverse(entry) {
+  const label = `${entry.section}/${entry.method}`;
+  // `transient: unknown` means the request may have reached the API before the failure.
+  if (!entry.ok && entry.transient !== 'unknown') throw new BegetError(`Entry ${entry.id} (${label}) failed; there is nothing to undo`, EXIT.USAGE_ERROR);
+  const spec = AUDIT_INVERSES[label];
+  if (!spec) throw new BegetError(`${label} cannot be undone`, EXIT.USAGE_ERROR);
+  if (entry.beforeRedacted) throw new BegetError(`Entry ${entry.id} (${label}) captured credentials that were redacted from the audit log; restore it manually`, EXIT.USAGE_ERROR);
+  if (entry.captureError) throw new BegetError(`Entry ${entry.id} (${label}) has no pre-change capture: ${entry.captureError}`, EXIT.USAGE_ERROR);
+  const inverse = spec.undo(entry.inputData ?? {}, entry.before ?? null);
+  if (!inverse) throw new BegetError(`Entry ${entry.id} (${label}) has no pre-change capture or changed nothing; cannot undo`, EXIT.USAGE_ERROR);
+  return inverse;
+}
+
+function auditUndoState(entry, entries) {
+  if (entries.some((e) => e.undoOf === entry.id && e.ok)) return 'undone';
+  try {
+    auditInverse(entry);
+    return 'yes';
+  } catch {
+    return '';
+  }
+}
+
+function parseSince(value) {
+  if (/^\d+[smhd]?$/.test(String(value).trim())) return Date.now() - parseDuration(value, '--since') * 1000;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) throw new BegetError('--since must be a duration like 2h or 7d, or a date', EXIT.USAGE_ERROR);
+  return time;
+}
+
+const BACKUP_DONE_STATUSES = new Set(['done', 'success', 'completed', 'finished', 'ok']);
+const BACKUP_FAILED_STATUSES = new Set(['error', 'failed', 'fail', 'canceled', 'cancelled']);
+
+function backupTaskState(entry) {
+  const status = String(entry?.status ?? '').toLowerCase();
+  if (BACKUP_DONE_STATUSES.has(status)) return 'done';
+  if (BACKUP_FAILED_STATUSES.has(status)) return 'failed';
+  return 'pending';
+}
+
+function backupTaskMatcher({ id, knownIds, operation, type }) {
+  const fits = (entry, field, expected) => !expected || entry[field] === undefined || String(entry[field]).toLowerCase().includes(expected);
+  let taskId = id;
+  return (log) => {
+    if (taskId !== undefined) return log.find((e) => String(e.id) === String(taskId));
+    const entry = log
+      .filter((e) => !knownIds?.has(String(e.id)) && fits(e, 'operation', operation) && fits(e, 'type', type))
+      .filter((e) => knownIds || backupTaskState(e) === 'pending')
+      .sort((a, b) => Number(b.id) - Number(a.id))[0];
+    taskId = entry?.id;
+    return entry;
+  };
+}
+
+function backupArchiveLocation(entry) {
+  const file = entry?.file_name ?? entry?.archive ?? entry?.path ?? entry?.result;
+  return typeof file === 'string' && file ? file : 'account home directory (~/)';
+}
+
+async function waitForBackupTask({ globalOpts, match, timeoutMs, intervalMs }) {
+  const started = Date.now();
+  const human = humanModeFrom(globalOpts);
+  let last;
+  while (true) {
+    const entry = match(asList(await executeApi({ globalOpts, cmdOpts: {}, section: 'backup', method: 'getLog' })));
+    const status = entry ? String(entry.status ?? 'unknown') : 'not in log yet';
+    const elapsed = Math.round((Date.now() - started) / 1000);
+    if (status !== last && human) stderr.write(`[backup] ${entry ? `task ${entry.id}${entry.operation ? ` ${entry.operation}` : ''}${entry.type ? ` ${entry.type}` : ''}` : 'task'}: ${status} (${elapsed}s)\n`);
+    last = status;
+    const state = entry ? backupTaskState(entry) : 'pending';
+    if (state === 'done') return entry;
+    if (state === 'failed') throw new BegetError(`Backup task ${entry.id} failed with status '${status}'`, EXIT.TASK_FAILED, JSON.stringify(entry));
+    if (Date.now() - started + intervalMs > timeoutMs) throw new BegetError(`Timed out after ${elapsed}s waiting for backup task (last status: ${status})`, EXIT.WAIT_TIMEOUT);
+    await sleep(intervalMs);
+  }
+}
+
+function waitOptionsFrom(cmdOpts) {
+  return { timeoutMs: parseDuration(cmdOpts.waitTimeout, '--wait-timeout') * 1000, intervalMs: parseDuration(cmdOpts.pollInterval, '--poll-interval') * 1000 };
+}
+
+async function runBackupTask({ globalOpts, cmdOpts, operation, type, ...request }) {
+  const wait = Boolean(cmdOpts.wait) && !cmdOpts.dryRun;
+  const waitOpts = wait ? waitOptionsFrom(cmdOpts) : null;
+  const knownIds = wait ? new Set(asList(await executeApi({ globalOpts, cmdOpts: {}, section: 'backup', method: 'getLog' })).map((e) => String(e.id))) : null;
+  const result = await executeApi({ globalOpts, cmdOpts, section: 'backup', mutate: true, ...request });
+  if (!wait) return result;
+  const id = Number.isInteger(result) ? result : result?.id;
+  const task = await waitForBackupTask({ globalOpts, match: backupTaskMatcher({ id, knownIds, operation, type }), ...waitOpts });
+  return operation === 'download' ? { ok: true, task, archive: backupArchiveLocation(task) } : { ok: true, task };
+}
+
+function asList(result) {
+  if (Array.isArray(result)) return result;
+  if (result && typeof result === 'object') return Object.values(result);
+  return [];
+}
+
+async function readTextInput(file, label) {
+  try {
+    return file === '-' ? fssync.readFileSync(0, 'utf8') : await fs.readFile(file, 'utf8');
+  } catch (err) {
+    throw new BegetError(`Failed to read ${label}: ${err.message}`, EXIT.USAGE_ERROR);
+  }
+}
+
+function cronSchedule(job) {
+  if (job.schedule === undefined) return job;
+  const parts = String(job.schedule).trim().split(/\s+/);
+  if (parts.length !== 5) throw new BegetError(`Cron schedule must have 5 fields: ${job.schedule}`, EXIT.USAGE_ERROR);
+  return { ...Object.fromEntries(CRON_FIELDS.map((f, i) => [f, parts[i]])), command: job.command };
+}
+
+async function loadManifest(file) {
+  const text = await readTextInput(file, 'manifest');
+  let manifest;
+  try {
+    manifest = YAML.parse(text);
+  } catch (err) {
+    throw new BegetError(`Manifest is not valid YAML/JSON: ${err.message}`, EXIT.USAGE_ERROR);
+  }
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) throw new BegetError('Manifest must be a mapping of sections', EXIT.USAGE_ERROR);
+  for (const [key, value] of Object.entries(manifest)) {
+    if (!MANIFEST_SECTIONS.includes(key)) throw new BegetError(`Unknown manifest section '${key}' (expected: ${MANIFEST_SECTIONS.join(', ')})`, EXIT.USAGE_ERROR);
+    if (!Array.isArray(value)) throw new BegetError(`Manifest section '${key}' must be a list`, EXIT.USAGE_ERROR);
+  }
+  const need = (section, item, field) => {
+    if (item?.[field] === undefined || item[field] === '') throw new BegetError(`Manifest ${section} entry is missing '${field}': ${JSON.stringify(item)}`, EXIT.USAGE_ERROR);
+  };
+  for (const site of manifest.sites ?? []) need('sites', site, 'name');
+  for (const d of [...(manifest.domains ?? []), ...(manifest.subdomains ?? [])]) need('domains', d, 'fqdn');
+  for (const m of manifest.mail ?? []) {
+    need('mail', m, 'domain');
+    for (const box of m.mailboxes ?? []) need('mail', box, 'name');
+  }
+  for (const db of manifest.mysql ?? []) {
+    need('mysql', db, 'suffix');
+    for (const a of db.accesses ?? []) need('mysql', a, 'access');
+  }
+  manifest.cron = manifest.cron?.map((job) => {
+    const full = cronSchedule(job);
+    for (const field of [...CRON_FIELDS, 'command']) need('cron', full, field);
+    return validateCronJob(full);
+  });
+  if (!manifest.cron) delete manifest.cron;
+  return manifest;
+}
+
+async function readAccountState(globalOpts, manifest) {
+  const api = async (section, method, inputData, query) => executeApi({ globalOpts, cmdOpts: {}, section, method, inputData, query });
+  const state = { sites: [], domains: [], subdomains: [], php: {}, directives: {}, mailboxes: {}, forwards: {}, mysql: [], cron: [] };
+  if (manifest.sites) state.sites = asList(await api('site', 'getList'));
+  if (manifest.sites || manifest.domains || manifest.subdomains || manifest.mail) {
+    state.domains = asList(await api('domain', 'getList'));
+    state.subdomains = asList(await api('domain', 'getSubdomainList'));
+  }
+  const existing = new Set([...state.domains, ...state.subdomains].map((d) => d.fqdn));
+  for (const d of [...(manifest.domains ?? []), ...(manifest.subdomains ?? [])]) {
+    if (!existing.has(d.fqdn)) continue;
+    if (d.php_version !== undefined) state.php[d.fqdn] = await api('domain', 'getPhpVersion', undefined, { full_fqdn: d.fqdn });
+    if (d.directives !== undefined) state.directives[d.fqdn] = asList(await api('domain', 'getDirectives', undefined, { full_fqdn: d.fqdn }));
+  }
+  for (const m of manifest.mail ?? []) {
+    if (!existing.has(m.domain)) continue;
+    state.mailboxes[m.domain] = asList(await api('mail', 'getMailboxList', { domain: m.domain }));
+    for (const box of m.mailboxes ?? []) {
+      if (box.forwards === undefined || !state.mailboxes[m.domain].some((b) => b.mailbox === box.name)) continue;
+      state.forwards[`${box.name}@${m.domain}`] = forwardList(await api('mail', 'forwardListShow', { domain: m.domain, mailbox: box.name }));
+    }
+  }
+  if (manifest.mysql) state.mysql = asList(await api('mysql', 'getList'));
+  if (manifest.cron) state.cron = asList(await api('cron', 'getList'));
+  if (manifest.domains?.some((d) => !existing.has(d.fqdn))) state.zones = await api('domain', 'getZoneList');
+  return state;
+}
+
+function zoneIdFor(zones, fqdn) {
+  const entries = Array.isArray(zones)
+    ? zones.map((z) => [z.zone ?? z.name, z.id ?? z.zone_id])
+    : Object.entries(zones ?? {}).map(([name, z]) => [name, typeof z === 'object' ? z.id ?? z.zone_id : z]);
+  const match = entries.filter(([name]) => fqdn.endsWith(`.${name}`)).sort((a, b) => b[0].length - a[0].length)[0];
+  if (!match) throw new BegetError(`No Beget zone found for ${fqdn}`, EXIT.USAGE_ERROR);
+  return { hostname: fqdn.slice(0, -(match[0].length + 1)), zoneId: Number(match[1]) };
+}
+
+function dbSuffix(name) {
+  const text = String(name ?? '');
+  return text.includes('_') ? text.slice(text.indexOf('_') + 1) : text;
+}
+
+function directiveKey(x) {
+  return `${x.name} ${x.value}`;
+}
+
+function forwardList(result) {
+  return asList(result).map((f) => (typeof f === 'string' ? f : f.forward_mailbox));
+}
+
+function buildPlan(manifest, state, { prune = true } = {}) {
+  const actions = [];
+  const add = (action) => actions.push({ order: 0, ...action });
+  const domainIds = new Map([...state.domains, ...state.subdomains].map((d) => [d.fqdn, d.id]));
+  const siteByName = new Map(state.sites.map((s) => [String(s.path ?? s.name ?? '').split('/')[0], s]));
+
+  for (const d of manifest.domains ?? []) {
+    if (domainIds.has(d.fqdn)) continue;
+    const { hostname, zoneId } = zoneIdFor(state.zones, d.fqdn);
+    add({ op: 'create', kind: 'domain', name: d.fqdn, phase: 2, section: 'domain', method: 'addVirtual', provides: ['domain', d.fqdn], input: () => ({ hostname, zone_id: zoneId }) });
+  }
+  const parents = [...state.domains.map((d) => d.fqdn), ...(manifest.domains ?? []).map((d) => d.fqdn)];
+  for (const d of manifest.subdomains ?? []) {
+    if (domainIds.has(d.fqdn)) continue;
+    const parent = parents.filter((p) => d.fqdn.endsWith(`.${p}`)).sort((a, b) => b.length - a.length)[0];
+    if (!parent) throw new BegetError(`Subdomain ${d.fqdn} has no parent domain on the account or in the manifest`, EXIT.USAGE_ERROR);
+    add({ op: 'create', kind: 'subdomain', name: d.fqdn, phase: 3, section: 'domain', method: 'addSubdomainVirtual', provides: ['domain', d.fqdn], input: (ctx) => ({ subdomain: d.fqdn.slice(0, -(parent.length + 1)), domain_id: ctx.id('domain', parent) }) });
+  }
+  for (const d of [...(manifest.domains ?? []), ...(manifest.subdomains ?? [])]) {
+    if (d.php_version !== undefined) {
+      const current = state.php[d.fqdn];
+      const currentVersion = current === undefined ? undefined : String(current?.php_version ?? current);
+      const isCgi = Boolean(d.is_cgi);
+      if (currentVersion !== String(d.php_version) || (current?.is_cgi !== undefined && Boolean(current.is_cgi) !== isCgi)) {
+        add({ op: 'update', kind: 'php', name: d.fqdn, phase: 5, section: 'domain', method: 'changePhpVersion', detail: `${currentVersion ?? '(new)'} -> ${d.php_version}`, input: () => ({ full_fqdn: d.fqdn, php_version: String(d.php_version), is_cgi: isCgi }) });
+      }
+    }
+    if (d.directives !== undefined) {
+      const current = state.directives[d.fqdn] ?? [];
+      const wanted = new Set(d.directives.map(directiveKey));
+      const have = new Set(current.map(directiveKey));
+      const missing = d.directives.filter((x) => !have.has(directiveKey(x)));
+      const extra = current.filter((x) => !wanted.has(directiveKey(x)));
+      if (missing.length) add({ op: 'update', kind: 'directives', name: d.fqdn, phase: 5, section: 'domain', method: 'addDirectives', detail: missing.map(directiveKey).join('; '), input: () => ({ full_fqdn: d.fqdn, directives_list: missing.map((x) => ({ name: x.name, value: x.value })) }) });
+      if (extra.length && prune) add({ op: 'delete', kind: 'directives', name: d.fqdn, phase: 5, section: 'domain', method: 'removeDirectives', detail: extra.map(directiveKey).join('; '), input: () => ({ full_fqdn: d.fqdn, directives_list: extra.map((x) => ({ name: x.name, value: x.value })) }) });
+    }
+  }
+
+  for (const site of manifest.sites ?? []) {
+    const current = siteByName.get(site.name);
+    if (!current) add({ op: 'create', kind: 'site', name: site.name, phase: 1, section: 'site', method: 'add', provides: ['site', site.name], input: () => ({ name: site.name }) });
+    if (site.domains === undefined) continue;
+    const linked = asList(current?.domains).map((d) => (typeof d === 'string' ? { fqdn: d } : d));
+    for (const fqdn of site.domains) {
+      if (linked.some((d) => d.fqdn === fqdn)) continue;
+      add({ op: 'create', kind: 'site-link', name: `${site.name} <- ${fqdn}`, phase: 4, section: 'site', method: 'linkDomain', input: (ctx) => ({ domain_id: ctx.id('domain', fqdn), site_id: ctx.id('site', site.name) }) });
+    }
+    if (prune) {
+      for (const d of linked.filter((x) => !site.domains.includes(x.fqdn))) {
+        add({ op: 'delete', kind: 'site-link', name: `${site.name} <- ${d.fqdn}`, phase: 4, section: 'site', method: 'unlinkDomain', input: (ctx) => ({ domain_id: d.id ?? ctx.id('domain', d.fqdn) }) });
+      }
+    }
+  }
+  if (manifest.sites && prune) {
+    const wanted = new Set(manifest.sites.map((s) => s.name));
+    for (const [name, s] of siteByName) if (!wanted.has(name)) add({ op: 'delete', kind: 'site', name, phase: 1, section: 'site', method: 'delete', input: () => ({ id: Number(s.id) }) });
+  }
+  if (manifest.domains && prune) {
+    const wanted = new Set(manifest.domains.map((d) => d.fqdn));
+    for (const d of state.domains) if (!wanted.has(d.fqdn)) add({ op: 'delete', kind: 'domain', name: d.fqdn, phase: 2, section: 'domain', method: 'delete', input: () => ({ id: Number(d.id) }) });
+  }
+  if (manifest.subdomains && prune) {
+    const wanted = new Set(manifest.subdomains.map((d) => d.fqdn));
+    for (const d of state.subdomains) if (!wanted.has(d.fqdn)) add({ op: 'delete', kind: 'subdomain', name: d.fqdn, phase: 3, section: 'domain', method: 'deleteSubdomain', input: () => ({ id: Number(d.id) }) });
+  }
+
+  for (const m of manifest.mail ?? []) {
+    const current = state.mailboxes[m.domain] ?? [];
+    for (const box of m.mailboxes ?? []) {
+      const have = current.find((b) => b.mailbox === box.name);
+      const address = `${box.name}@${m.domain}`;
+      if (!have) add({ op: 'create', kind: 'mailbox', name: address, phase: 4, section: 'mail', method: 'createMailbox', secret: { env: box.password_env, label: address }, input: (ctx) => ({ domain: m.domain, mailbox: box.name, mailbox_password: ctx.secret(box.password_env) }) });
+      const settings = ['spam_filter_status', 'spam_filter', 'forward_mail_status'];
+      if (settings.some((k) => box[k] !== undefined && (!have || String(have[k]) !== String(box[k])))) {
+        const merged = Object.fromEntries(settings.map((k) => [k, box[k] ?? have?.[k]]));
+        add({ op: 'update', kind: 'mailbox-settings', name: address, phase: 5, section: 'mail', method: 'changeMailboxSettings', input: () => ({ domain: m.domain, mailbox: box.name, spam_filter_status: Number(merged.spam_filter_status ?? 0), spam_filter: Number(merged.spam_filter ?? 0), forward_mail_status: merged.forward_mail_status ?? 'no_forward' }) });
+      }
+      if (box.forwards === undefined) continue;
+      const forwards = state.forwards[address] ?? [];
+      for (const f of box.forwards) if (!forwards.includes(f)) add({ op: 'create', kind: 'forward', name: `${address} -> ${f}`, phase: 5, section: 'mail', method: 'forwardListAddMailbox', input: () => ({ domain: m.domain, mailbox: box.name, forward_mailbox: f }) });
+      if (prune) for (const f of forwards) if (!box.forwards.includes(f)) add({ op: 'delete', kind: 'forward', name: `${address} -> ${f}`, phase: 5, section: 'mail', method: 'forwardListDeleteMailbox', input: () => ({ domain: m.domain, mailbox: box.name, forward_mailbox: f }) });
+    }
+    if (m.mailboxes !== undefined && prune) {
+      const wanted = new Set(m.mailboxes.map((b) => b.name));
+      for (const b of current) if (!wanted.has(b.mailbox)) add({ op: 'delete', kind: 'mailbox', name: `${b.mailbox}@${m.domain}`, phase: 4, section: 'mail', method: 'dropMailbox', input: () => ({ domain: m.domain, mailbox: b.mailbox }) });
+    }
+  }
+
+  for (const db of manifest.mysql ?? []) {
+    const have = state.mysql.find((x) => dbSuffix(x.name) === db.suffix || x.name === db.suffix);
+    if (!have) add({ op: 'create', kind: 'mysql-db', name: db.suffix, phase: 1, section: 'mysql', method: 'addDb', secret: { env: db.password_env, label: `mysql ${db.suffix}` }, input: (ctx) => ({ suffix: db.suffix, password: ctx.secret(db.password_env) }) });
+    if (db.accesses === undefined) continue;
+    const accesses = asList(have?.accesses).map((a) => (typeof a === 'string' ? a : a.access));
+    for (const a of db.accesses) {
+      if (!accesses.includes(a.access)) add({ op: 'create', kind: 'mysql-access', name: `${db.suffix}@${a.access}`, phase: 2, section: 'mysql', method: 'addAccess', secret: { env: a.password_env, label: `mysql ${db.suffix}@${a.access}` }, input: (ctx) => ({ suffix: db.suffix, access: a.access, password: ctx.secret(a.password_env) }) });
+    }
+    if (prune) for (const a of accesses) if (!db.accesses.some((x) => x.access === a)) add({ op: 'delete', kind: 'mysql-access', name: `${db.suffix}@${a}`, phase: 2, section: 'mysql', method: 'dropAccess', input: () => ({ suffix: db.suffix, access: a }) });
+  }
+  if (manifest.mysql && prune) {
+    const wanted = new Set(manifest.mysql.map((d) => d.suffix));
+    for (const x of state.mysql) if (!wanted.has(dbSuffix(x.name)) && !wanted.has(x.name)) add({ op: 'delete', kind: 'mysql-db', name: dbSuffix(x.name), phase: 1, section: 'mysql', method: 'dropDb', input: () => ({ suffix: dbSuffix(x.name) }) });
+  }
+
+  if (manifest.cron) {
+    const key = cronJobKey;
+    const have = new Set(state.cron.map(key));
+    const wanted = new Set(manifest.cron.map(key));
+    for (const job of manifest.cron) if (!have.has(key(job))) add({ op: 'create', kind: 'cron', name: key(job), phase: 1, section: 'cron', method: 'add', input: () => Object.fromEntries([...CRON_FIELDS, 'command'].map((f) => [f, String(job[f])])) });
+    if (prune) for (const row of state.cron) if (!wanted.has(key(row))) add({ op: 'delete', kind: 'cron', name: key(row), phase: 1, order: -Number(row.row_number), section: 'cron', method: 'delete', input: () => ({ row_number: Number(row.row_number) }) });
+  }
+
+  const creates = actions.filter((a) => a.op !== 'delete').sort((a, b) => a.phase - b.phase);
+  const deletes = actions.filter((a) => a.op === 'delete').sort((a, b) => b.phase - a.phase || a.order - b.order);
+  return [...creates, ...deletes];
+}
+
+function planContext({ resolve = false } = {}) {
+  const ids = new Map();
+  return {
+    ids,
+    id(kind, name) {
+      const key = `${kind}:${name}`;
+      if (ids.has(key)) return ids.get(key);
+      if (!resolve) return `<${key}>`;
+      throw new BegetError(`Cannot resolve ${kind} id for '${name}'`, EXIT.API_ERROR);
+    },
+    secret(env) {
+      if (!resolve) return env ? `<env:${env}>` : '<missing password_env>';
+      return process.env[env];
+    },
+  };
+}
+
+function describePlan(actions, seedIds) {
+  const ctx = planContext();
+  for (const [key, value] of seedIds) ctx.ids.set(key, value);
+  return actions.map((a) => ({ op: a.op, kind: a.kind, name: a.name, detail: a.detail, section: a.section, method: a.method, inputData: a.input(ctx) }));
+}
+
+function seedPlanIds(state) {
+  const ids = new Map();
+  for (const d of [...state.domains, ...state.subdomains]) ids.set(`domain:${d.fqdn}`, Number(d.id));
+  for (const s of state.sites) ids.set(`site:${String(s.path ?? s.name ?? '').split('/')[0]}`, Number(s.id));
+  return ids;
+}
+
+function planSummary(actions) {
+  const count = (op) => actions.filter((a) => a.op === op).length;
+  return { create: count('create'), update: count('update'), delete: count('delete') };
+}
+
+function formatPlan(described) {
+  const sign = { create: '+', update: '~', delete: '-' };
+  const summary = planSummary(described);
+  if (!described.length) return 'No changes. Account matches the manifest.';
+  return [
+    ...described.map((a) => `${sign[a.op]} ${a.kind} ${a.name}${a.detail ? ` (${a.detail})` : ''}\t${a.section}/${a.method}`),
+    '',
+    `Plan: ${summary.create} to create, ${summary.update} to update, ${summary.delete} to delete.`,
+  ].join('\n');
+}
+
+function printPlan(doc, text, globalOpts) {
+  if (humanModeFrom(globalOpts)) return printResult(text);
+  if (documentModeFrom(globalOpts)) return printResult(doc, outputOptsFrom(globalOpts));
+  printResult(doc.actions, outputOptsFrom(globalOpts, LIST_COLUMNS.planActions));
+}
+
+async function preparePlan(globalOpts, file, cmdOpts) {
+  const manifest = await loadManifest(file);
+  const state = await readAccountState(globalOpts, manifest);
+  const actions = buildPlan(manifest, state, { prune: cmdOpts.prune !== false });
+  return { actions, state, described: describePlan(actions, seedPlanIds(state)) };
+}
+
+async function resolveCreatedId(globalOpts, [kind, name], result) {
+  const direct = Number(typeof result === 'object' && result !== null ? result.id : result);
+  if (Number.isInteger(direct) && direct > 0) return direct;
+  if (kind === 'site') {
+    const sites = asList(await executeApi({ globalOpts, cmdOpts: {}, section: 'site', method: 'getList' }));
+    return sites.find((s) => String(s.path ?? s.name ?? '').split('/')[0] === name)?.id;
+  }
+  const lists = await Promise.all(['getList', 'getSubdomainList'].map((method) => executeApi({ globalOpts, cmdOpts: {}, section: 'domain', method })));
+  return lists.flatMap(asList).find((d) => d.fqdn === name)?.id;
+}
+
+async function applyPlan({ globalOpts, cmdOpts, actions, state, described }) {
+  const missing = actions.filter((a) => a.secret && (!a.secret.env || !process.env[a.secret.env]));
+  if (missing.length) {
+    throw new BegetError('Missing secrets for manifest resources (set password_env and export the variables)', EXIT.USAGE_ERROR, missing.map((a) => `${a.secret.label}: ${a.secret.env ? `env ${a.secret.env} is not set` : 'no password_env'}`).join('\n'));
+  }
+  const deletes = described.filter((a) => a.op === 'delete');
+  if (deletes.length && !(cmdOpts.yes || globalOpts.yes)) {
+    stderr.write(`${deletes.map((a) => `- ${a.kind} ${a.name}\t${a.section}/${a.method}`).join('\n')}\n`);
+  }
+  if (deletes.length) await ensureRiskConfirmation({ cmdOpts, globalOpts, title: `Apply plan with ${deletes.length} delete action(s)` });
+  const ctx = planContext({ resolve: true });
+  for (const [key, value] of seedPlanIds(state)) ctx.ids.set(key, value);
+  const applied = [];
+  for (const [i, action] of actions.entries()) {
+    try {
+      const result = await executeApi({ globalOpts, cmdOpts: {}, section: action.section, method: action.method, mutate: true, inputData: action.input(ctx) });
+      if (action.provides) {
+        const id = await resolveCreatedId(globalOpts, action.provides, result);
+        if (id !== undefined) ctx.ids.set(action.provides.join(':'), Number(id));
+      }
+      applied.push({ ...described[i], result });
+    } catch (err) {
+      const done = applied.map((a) => `done: ${a.op} ${a.kind} ${a.name}`).join('\n');
+      throw new BegetError(`Apply failed at ${action.op} ${action.kind} ${action.name}: ${err.message}`, err instanceof BegetError ? err.code : EXIT.GENERIC_ERROR, `${applied.length} of ${actions.length} action(s) completed before the failure${done ? `\n${done}` : ''}`);
+    }
+  }
+  return applied;
+}
+
+async function readProvisionState(globalOpts, opts) {
+  const api = async (section, method, inputData, query) => executeApi({ globalOpts, cmdOpts: {}, section, method, inputData, query });
+  const state = { sites: asList(await api('site', 'getList')), domains: asList(await api('domain', 'getList')), subdomains: asList(await api('domain', 'getSubdomainList')) };
+  const taken = state.sites.find((s) => String(s.path ?? s.name ?? '').split('/')[0] === opts.name);
+  if (taken) throw new BegetError(`Site '${opts.name}' already exists (id ${taken.id})`, EXIT.USAGE_ERROR);
+  state.existing = [...state.domains, ...state.subdomains].find((d) => d.fqdn === opts.domain);
+  state.parent = state.existing ? undefined : state.domains.filter((d) => opts.domain.endsWith(`.${d.fqdn}`)).sort((a, b) => b.fqdn.length - a.fqdn.length)[0];
+  if (!state.existing && !state.parent) state.zones = await api('domain', 'getZoneList');
+  if (state.existing) state.linkedSite = domainSiteId(state.sites, state.existing.id);
+  if (state.existing && opts.php) state.php = await api('domain', 'getPhpVersion', undefined, { full_fqdn: opts.domain });
+  if (state.existing && opts.directives?.length) state.directives = asList(await api('domain', 'getDirectives', undefined, { full_fqdn: opts.domain })).map(directiveKey);
+  return state;
+}
+
+// Steps in dependency order; `undo` builds the rollback call, `undoNote` explains
+// steps that disappear together with a resource created earlier in the run.
+function buildProvisionSteps(opts, state) {
+  const { name, domain: fqdn } = opts;
+  const steps = [];
+  steps.push({ op: 'create', kind: 'site', name, section: 'site', method: 'add', provides: ['site', name], input: () => ({ name }), undo: (ctx) => ({ section: 'site', method: 'delete', inputData: { id: ctx.id('site', name) } }) });
+  if (state.parent) {
+    const subdomain = fqdn.slice(0, -(state.parent.fqdn.length + 1));
+    steps.push({ op: 'create', kind: 'subdomain', name: fqdn, section: 'domain', method: 'addSubdomainVirtual', provides: ['domain', fqdn], input: () => ({ subdomain, domain_id: Number(state.parent.id) }), undo: (ctx) => ({ section: 'domain', method: 'deleteSubdomain', inputData: { id: ctx.id('domain', fqdn) } }) });
+  } else if (!state.existing) {
+    const { hostname, zoneId } = zoneIdFor(state.zones, fqdn);
+    steps.push({ op: 'create', kind: 'domain', name: fqdn, section: 'domain', method: 'addVirtual', provides: ['domain', fqdn], input: () => ({ hostname, zone_id: zoneId }), undo: (ctx) => ({ section: 'domain', method: 'delete', inputData: { id: ctx.id('domain', fqdn) } }) });
+  }
+  const withDomain = state.existing ? undefined : 'removed with the domain';
+  // A reused domain goes back to the site it was linked to before.
+  const relink = (ctx) => (state.linkedSite ? { section: 'site', method: 'linkDomain', inputData: { domain_id: ctx.id('domain', fqdn), site_id: Number(state.linkedSite) } } : { section: 'site', method: 'unlinkDomain', inputData: { domain_id: ctx.id('domain', fqdn) } });
+  steps.push({ op: 'create', kind: 'site-link', name: `${name} <- ${fqdn}`, section: 'site', method: 'linkDomain', input: (ctx) => ({ domain_id: ctx.id('domain', fqdn), site_id: ctx.id('site', name) }), undo: relink });
+  if (opts.php) {
+    const current = state.php;
+    const currentVersion = current === undefined ? undefined : String(current?.php_version ?? current);
+    const restore = { full_fqdn: fqdn, php_version: currentVersion, is_cgi: Boolean(current?.is_cgi) };
+    steps.push({ op: 'update', kind: 'php', name: fqdn, section: 'domain', method: 'changePhpVersion', detail: `${currentVersion ?? '(new)'} -> ${opts.php}`, input: () => ({ full_fqdn: fqdn, php_version: String(opts.php), is_cgi: Boolean(opts.cgi) }), undo: withDomain ? null : () => ({ section: 'domain', method: 'changePhpVersion', inputData: restore }), undoNote: withDomain });
+  }
+  // Only directives missing on a reused domain are added, so rollback never removes pre-existing ones.
+  const newDirectives = (opts.directives ?? []).map((x) => ({ name: x.name, value: x.value })).filter((x) => !state.directives?.includes(directiveKey(x)));
+  if (newDirectives.length) {
+    steps.push({ op: 'update', kind: 'directives', name: fqdn, section: 'domain', method: 'addDirectives', detail: newDirectives.map(directiveKey).join('; '), input: () => ({ full_fqdn: fqdn, directives_list: newDirectives }), undo: withDomain ? null : () => ({ section: 'domain', method: 'removeDirectives', inputData: { full_fqdn: fqdn, directives_list: newDirectives } }), undoNote: withDomain });
+  }
+  if (opts.db) {
+    steps.push({ op: 'create', kind: 'mysql-db', name: opts.db, section: 'mysql', method: 'addDb', input: (ctx) => ({ suffix: opts.db, password: ctx.secret('BEGET_MYSQL_PASSWORD') }), undo: () => ({ section: 'mysql', method: 'dropDb', inputData: { suffix: opts.db } }) });
+    steps.push({ op: 'create', kind: 'mysql-access', name: `${opts.db}@${opts.dbAccess}`, section: 'mysql', method: 'addAccess', input: (ctx) => ({ suffix: opts.db, access: opts.dbAccess, password: ctx.secret('BEGET_MYSQL_PASSWORD') }), undo: null, undoNote: 'removed with the database' });
+  }
+  if (opts.mailbox) {
+    steps.push({ op: 'create', kind: 'mailbox', name: `${opts.mailbox}@${fqdn}`, section: 'mail', method: 'createMailbox', input: (ctx) => ({ domain: fqdn, mailbox: opts.mailbox, mailbox_password: ctx.secret('BEGET_MAILBOX_PASSWORD') }), undo: () => ({ section: 'mail', method: 'dropMailbox', inputData: { domain: fqdn, mailbox: opts.mailbox } }) });
+  }
+  return steps;
+}
+
+function describeProvision(steps, state) {
+  const ctx = planContext();
+  if (state.existing) ctx.ids.set(`domain:${state.existing.fqdn}`, Number(state.existing.id));
+  return steps.map((step) => {
+    const undo = step.undo?.(ctx);
+    return { op: step.op, kind: step.kind, name: step.name, detail: step.detail, section: step.section, method: step.method, inputData: step.input(ctx), rollback: undo ? `${undo.section}/${undo.method}` : step.undoNote ?? null };
+  });
+}
+
+function formatProvision(described) {
+  const sign = { create: '+', update: '~' };
+  const summary = planSummary(described);
+  return [
+    ...described.map((a) => `${sign[a.op]} ${a.kind} ${a.name}${a.detail ? ` (${a.detail})` : ''}\t${a.section}/${a.method}\trollback: ${a.rollback ?? '-'}`),
+    '',
+    `Plan: ${summary.create} to create, ${summary.update} to update.`,
+  ].join('\n');
+}
+
+async function rollbackProvision(globalOpts, ctx, done) {
+  const lines = [];
+  for (const step of [...done].reverse()) {
+    if (!step.undo) {
+      lines.push(`skipped: ${step.kind} ${step.name} (${step.undoNote})`);
+      continue;
+    }
+    try {
+      const undo = step.undo(ctx);
+      await executeApi({ globalOpts, cmdOpts: {}, section: undo.section, method: undo.method, mutate: true, inputData: undo.inputData });
+      lines.push(`rolled back: ${step.kind} ${step.name}\t${undo.section}/${undo.method}`);
+    } catch (err) {
+      lines.push(`rollback failed: ${step.kind} ${step.name}: ${err.message}`);
+    }
+  }
+  return lines;
+}
+
+// Runs the steps in order, passing created ids forward; on failure undoes the
+// completed steps in reverse order and reports what could not be rolled back.
+async function runProvision({ globalOpts, steps, state, described, secrets }) {
+  const ctx = planContext({ resolve: true });
+  ctx.secret = (env) => secrets[env];
+  if (state.existing) ctx.ids.set(`domain:${state.existing.fqdn}`, Number(state.existing.id));
+  const done = [];
+  const applied = [];
+  for (const [i, step] of steps.entries()) {
+    try {
+      const result = await executeApi({ globalOpts, cmdOpts: {}, section: step.section, method: step.method, mutate: true, inputData: step.input(ctx) });
+      done.push(step);
+      applied.push({ ...described[i], result });
+      if (step.provides) {
+        const id = await resolveCreatedId(globalOpts, step.provides, result);
+        if (id !== undefined) ctx.ids.set(step.provides.join(':'), Number(id));
+      }
+    } catch (err) {
+      const rollback = await rollbackProvision(globalOpts, ctx, done);
+      // The request may have reached the API; without its result there is nothing safe to undo.
+      if (err.retry === 'unknown') rollback.unshift(`may have been applied: ${step.kind} ${step.name}; check manually`);
+      const failed = rollback.filter((line) => line.startsWith('rollback failed')).length;
+      const summary = done.length ? `${done.length} completed step(s) rolled back in reverse order${failed ? `, ${failed} need manual cleanup` : ''}` : 'No steps were completed';
+      throw new BegetError(`Provision failed at ${step.op} ${step.kind} ${step.name}: ${err.message}`, err instanceof BegetError ? err.code : EXIT.GENERIC_ERROR, [summary, ...rollback].join('\n'));
+    }
+  }
+  return { applied, ids: ctx.ids };
+}
+
+const BATCH_OUTPUT_OPTIONS = new Set(['json', 'output', 'fields', 'query', 'headers']);
+
+// Re-creates the options given on the command line so a command can be run again in-process.
+function cliOptionArgs(command, skip = new Set()) {
+  const args = [];
+  for (const option of command.options) {
+    const key = option.attributeName();
+    if (skip.has(key) || command.getOptionValueSource(key) !== 'cli') continue;
+    const value = command.getOptionValue(key);
+    if (option.isBoolean() || option.negate) {
+      if (value === !option.negate) args.push(option.long);
+    } else {
+      for (const item of Array.isArray(value) ? value : [value]) args.push(option.long, String(item));
+    }
+  }
+  return args;
+}
+
+function batchGlobalArgs(program) {
+  return cliOptionArgs(program, BATCH_OUTPUT_OPTIONS);
+}
+
+function batchOptionArgs(options, label) {
+  if (options === undefined) return [];
+  if (options === null || typeof options !== 'object' || Array.isArray(options)) throw new BegetError(`${label}: options must be an object`, EXIT.USAGE_ERROR);
+  const args = [];
+  for (const [key, value] of Object.entries(options)) {
+    const flag = `--${key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+    for (const item of Array.isArray(value) ? value : [value]) {
+      if (item === true) args.push(flag);
+      else if (item !== false && item !== null && item !== undefined) args.push(flag, typeof item === 'object' ? JSON.stringify(item) : String(item));
+    }
+  }
+  return args;
+}
+
+function batchOperation(program, op, index) {
+  const label = `operation #${index}`;
+  if (op === null || typeof op !== 'object' || Array.isArray(op)) throw new BegetError(`${label}: expected an object with "command" or "method"`, EXIT.USAGE_ERROR);
+  if (Boolean(op.command) === Boolean(op.method)) throw new BegetError(`${label}: set exactly one of "command" or "method"`, EXIT.USAGE_ERROR);
+  if (op.method) {
+    const [section, method, extra] = String(op.method).split('/');
+    if (!section || !method || extra !== undefined) throw new BegetError(`${label}: method must look like section/method`, EXIT.USAGE_ERROR);
+    // Methods missing from the API map are treated as mutating unless the operation says otherwise.
+    const mutate = op.mutate ?? (!API_METHODS[section]?.[method] || isMutatingMethod(section, method));
+    return { index, label: `${section}/${method}`, section, method, inputData: op.inputData ?? op.input, query: op.query, mutate: Boolean(mutate), risky: Boolean(mutate) };
+  }
+  const words = Array.isArray(op.command) ? op.command.map(String) : String(op.command).trim().split(/\s+/);
+  let command = program;
+  let depth = 0;
+  while (depth < words.length) {
+    const next = command.commands.find((c) => c.name() === words[depth] || c.aliases().includes(words[depth]));
+    if (!next) break;
+    command = next;
+    depth += 1;
+  }
+  if (command === program || command.commands.length) throw new BegetError(`${label}: unknown command '${words.join(' ')}'`, EXIT.USAGE_ERROR);
+  if (command.name() === 'batch') throw new BegetError(`${label}: batch cannot be nested`, EXIT.USAGE_ERROR);
+  if (op.args !== undefined && !Array.isArray(op.args)) throw new BegetError(`${label}: args must be a list`, EXIT.USAGE_ERROR);
+  const has = (flag) => command.options.some((o) => o.long === flag);
+  const argv = [...words, ...(op.args ?? []).map(String), ...batchOptionArgs(op.options, label)];
+  if (words.slice(0, depth).join(' ') === 'stats watch' && !argv.some((a) => a === '--count' || a.startsWith('--count='))) throw new BegetError(`${label}: stats watch needs --count inside a batch`, EXIT.USAGE_ERROR);
+  return {
+    index,
+    label: words.join(' '),
+    argv,
+    risky: has('--yes'),
+    dryRunnable: has('--dry-run'),
+    // Parallel operations must never prompt for secrets on the same TTY.
+    noInput: has('--no-input'),
+  };
+}
+
+function loadBatch(program, text, file) {
+  const trimmed = text.trim();
+  let ops;
+  if (/\.ya?ml$/i.test(file) || (trimmed && !trimmed.startsWith('{'))) {
+    let doc;
+    try {
+      doc = YAML.parse(text);
+    } catch (err) {
+      throw new BegetError(`Invalid batch file: ${err.message}`, EXIT.USAGE_ERROR);
+    }
+    ops = Array.isArray(doc) ? doc : doc?.operations;
+    if (!Array.isArray(ops)) throw new BegetError('Batch YAML must be a list of operations (or a mapping with "operations")', EXIT.USAGE_ERROR);
+  } else {
+    ops = [];
+    text.split(/\r?\n/).forEach((line, i) => {
+      if (!line.trim() || line.trim().startsWith('#')) return;
+      try {
+        ops.push(JSON.parse(line));
+      } catch (err) {
+        throw new BegetError(`Invalid batch line ${i + 1}: ${err.message}`, EXIT.USAGE_ERROR);
+      }
+    });
+  }
+  return ops.map((op, i) => batchOperation(program, op, i + 1));
+}
+
+function silenceProgram(command) {
+  command.exitOverride().configureOutput({ writeOut: () => {}, writeErr: () => {}, outputError: () => {} });
+  command.commands.forEach(silenceProgram);
+  return command;
+}
+
+function failedOperation(op, err) {
+  const code = err instanceof BegetError ? err.code : String(err?.code ?? '').startsWith('commander.') ? EXIT.USAGE_ERROR : EXIT.GENERIC_ERROR;
+  return { index: op.index, op: op.label, ok: false, code, error: err.message, details: err.details ?? null };
+}
+
+async function runBatchOperation(op, { globalOpts, globalArgs, dryRun, credentials }) {
+  const store = { output: [], credentials };
+  try {
+    const result = await batchContext.run(store, async () => {
+      if (op.method) {
+        return executeApi({ globalOpts: { ...globalOpts, yes: true }, cmdOpts: { dryRun }, section: op.section, method: op.method, inputData: op.inputData, query: op.query, mutate: op.mutate });
+      }
+      await silenceProgram(createProgram()).parseAsync([...globalArgs, '--json', '--yes', ...op.argv, ...(op.noInput ? ['--no-input'] : []), ...(dryRun && op.dryRunnable ? ['--dry-run'] : [])], { from: 'user' });
+      return store.output.length > 1 ? store.output : store.output[0] ?? null;
+    });
+    return { index: op.index, op: op.label, ok: true, result };
+  } catch (err) {
+    return failedOperation(op, err);
+  }
+}
+
+async function runBatch(ops, { concurrency, stopOnError, run, report }) {
+  const outcomes = new Array(ops.length);
+  let next = 0;
+  let stopped = false;
+  const worker = async () => {
+    while (next < ops.length && !stopped) {
+      const i = next++;
+      outcomes[i] = await run(ops[i]);
+      report(outcomes[i]);
+      if (!outcomes[i].ok && stopOnError) stopped = true;
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, ops.length) }, worker));
+  ops.forEach((op, i) => {
+    if (outcomes[i]) return;
+    outcomes[i] = { index: op.index, op: op.label, ok: false, skipped: true };
+    report(outcomes[i]);
+  });
+  return outcomes;
+}
+
+function batchSummary(outcomes) {
+  const failed = outcomes.filter((o) => !o.ok && !o.skipped);
+  const codes = [...new Set(failed.map((o) => o.code))];
+  return {
+    total: outcomes.length,
+    ok: outcomes.filter((o) => o.ok).length,
+    failed: failed.length,
+    skipped: outcomes.filter((o) => o.skipped).length,
+    exitCode: !failed.length ? EXIT.OK : codes.length === 1 ? codes[0] : EXIT.GENERIC_ERROR,
+  };
+}
+
+const FAN_OUT_OPTIONS = new Set([...BATCH_OUTPUT_OPTIONS, 'profile', 'profiles', 'allProfiles', 'profilesConcurrency', 'fanOutMutations']);
+const FAN_OUT_LOCAL_COMMANDS = new Set(['auth', 'completion', '__complete']);
+// These write to stdout as they go instead of returning one result per profile.
+const FAN_OUT_STREAMING_COMMANDS = new Set(['batch', 'stats watch']);
+
+function commandPath(command) {
+  const words = [];
+  for (let c = command; c.parent; c = c.parent) words.unshift(c.name());
+  return words;
+}
+
+async function fanOutProfiles(globalOpts) {
+  if (globalOpts.profiles && globalOpts.allProfiles) throw new BegetError('Use either --profiles or --all-profiles', EXIT.USAGE_ERROR);
+  if (globalOpts.profile || globalOpts.login) throw new BegetError('--profile and --login cannot be combined with --profiles/--all-profiles', EXIT.USAGE_ERROR);
+  const env = ['BEGET_LOGIN', 'BEGET_API_PASSWORD', 'BEGET_API_KEY'].filter((key) => process.env[key]);
+  if (env.length) throw new BegetError(`${env.join(', ')} would override every profile's credentials; unset them to use --profiles/--all-profiles`, EXIT.USAGE_ERROR);
+  const cfg = await readConfig(getConfigPath(globalOpts.config));
+  const names = globalOpts.allProfiles ? Object.keys(cfg.profiles) : [...new Set(parseCsv(globalOpts.profiles))];
+  const unknown = names.filter((name) => !cfg.profiles[name]);
+  if (unknown.length) throw new BegetError(`Unknown profile(s): ${unknown.join(', ')} (see \`beget auth list\`)`, EXIT.USAGE_ERROR);
+  if (!names.length) throw new BegetError('No profiles configured (see `beget auth add`)', EXIT.USAGE_ERROR);
+  return names;
+}
+
+async function runProfileCommand(op, { globalArgs, argv, credentials }) {
+  const store = { output: [], credentials };
+  try {
+    await batchContext.run(store, () => silenceProgram(createProgram()).parseAsync([...globalArgs, '--profile', op.label, '--json', ...argv], { from: 'user' }));
+    return { index: op.index, op: op.label, ok: true, result: store.output.length > 1 ? store.output : store.output[0] ?? null, columns: store.columns };
+  } catch (err) {
+    return failedOperation(op, err);
+  }
+}
+
+function tagProfileRows(profile, result) {
+  if (Array.isArray(result)) return result.map((row) => (row !== null && typeof row === 'object' ? { profile, ...row } : { profile, value: row }));
+  if (result !== null && typeof result === 'object') return [{ profile, ...result }];
+  return [{ profile, result }];
+}
+
+// Replaces the action of the invoked command: runs it once per profile
+// (in parallel, like batch operations) and prints the merged, profile-tagged rows.
+async function runFanOut(program, command) {
+  const globalOpts = program.opts();
+  const words = commandPath(command);
+  if (FAN_OUT_LOCAL_COMMANDS.has(words[0])) throw new BegetError(`${words.join(' ')} does not call the API; --profiles/--all-profiles do not apply`, EXIT.USAGE_ERROR);
+  if (FAN_OUT_STREAMING_COMMANDS.has(words.join(' '))) throw new BegetError(`${words.join(' ')} streams its output; run it per profile instead of with --profiles/--all-profiles`, EXIT.USAGE_ERROR);
+  const mutating = command.options.some((o) => o.long === '--dry-run');
+  if (mutating && !globalOpts.fanOutMutations) throw new BegetError(`${words.join(' ')} can change the account; add --fan-out-mutations to run it for several profiles`, EXIT.USAGE_ERROR);
+  if (command.getOptionValue('out') !== undefined) throw new BegetError('--out cannot be combined with --profiles/--all-profiles (every profile would write the same file)', EXIT.USAGE_ERROR);
+  const concurrency = parseCount(globalOpts.profilesConcurrency, '--profiles-concurrency');
+  if (concurrency < 1) throw new BegetError('--profiles-concurrency must be at least 1', EXIT.USAGE_ERROR);
+  const profiles = await fanOutProfiles(globalOpts);
+  if (mutating && !command.getOptionValue('dryRun')) {
+    await ensureRiskConfirmation({ cmdOpts: command.opts(), globalOpts, title: `Run ${words.join(' ')} for ${profiles.length} profile(s)` });
+  }
+  // Resolve credentials one by one so a vault passphrase is asked at most once.
+  const credentials = new Map();
+  for (const profile of profiles) {
+    const session = profileFrom({ ...globalOpts, profile });
+    credentials.set(JSON.stringify([globalOpts.config, profile, globalOpts.login]), session);
+    await session.catch(() => {});
+  }
+  const context = { globalArgs: cliOptionArgs(program, FAN_OUT_OPTIONS), argv: [...words, ...command.args, ...cliOptionArgs(command, new Set(['input'])), ...(mutating ? ['--yes'] : []), ...(command.options.some((o) => o.long === '--no-input') ? ['--no-input'] : [])], credentials };
+  const ops = profiles.map((label, i) => ({ index: i + 1, label }));
+  const outcomes = await runBatch(ops, { concurrency, stopOnError: false, run: (op) => runProfileCommand(op, context), report: () => {} });
+  for (const o of outcomes.filter((x) => !x.ok)) printError(new BegetError(`[${o.op}] ${o.error}`, o.code, o.details), jsonModeFrom(globalOpts));
+  const columns = outcomes.find((o) => o.ok && o.columns)?.columns;
+  printResult(outcomes.filter((o) => o.ok).flatMap((o) => tagProfileRows(o.op, o.result)), outputOptsFrom(globalOpts, columns && ['profile', ...columns]));
+  const summary = batchSummary(outcomes);
+  if (summary.exitCode !== EXIT.OK) throw new BegetError(`${summary.failed} of ${summary.total} profile(s) failed`, summary.exitCode);
+}
+
+const COMPLETION_SOURCES = {
+  'domain/getList': { key: 'domains', values: (result) => asList(result).map((d) => ({ id: d.id, name: d.fqdn })) },
+  'domain/getSubdomainList': { key: 'subdomains', values: (result) => asList(result).map((d) => ({ id: d.id, name: d.fqdn })) },
+  'domain/getZoneList': { key: 'zones', values: (result) => (Array.isArray(result) ? result.map((z) => [undefined, z]) : Object.entries(result ?? {})).map(([key, z]) => (z !== null && typeof z === 'object' ? { id: z.id ?? z.zone_id, name: z.zone ?? z.name ?? key } : { id: z, name: key })) },
+  'site/getList': { key: 'sites', values: (result) => asList(result).map((x) => ({ id: x.id, name: String(x.path ?? x.name ?? '').split('/')[0] })) },
+  'ftp/getList': { key: 'ftp', values: (result) => asList(result).map((x) => ({ name: dbSuffix(x.login) })) },
+  'mysql/getList': { key: 'mysql', values: (result) => asList(result).map((x) => ({ name: dbSuffix(x.name) })) },
+};
+const ID_KINDS = {
+  domain: { label: 'domain', sources: ['domain/getList'], hint: 'beget domains list' },
+  subdomain: { label: 'subdomain', sources: ['domain/getSubdomainList'], hint: 'beget domains subdomain-list' },
+  anyDomain: { label: 'domain', sources: ['domain/getList', 'domain/getSubdomainList'], hint: 'beget domains list' },
+  zone: { label: 'zone', sources: ['domain/getZoneList'], hint: 'beget domains zone-list' },
+  site: { label: 'site', sources: ['site/getList'], hint: 'beget sites list' },
+};
+const COMPLETION_CHOICES = {
+  '--output': OUTPUT_FORMATS,
+  '--forward-mail-status': MAIL_FORWARD_MODES,
+  '--existing': ['skip', 'update'],
+  '--operation': ['restore', 'download'],
+};
+
+function completionCachePath(configPath) {
+  return path.join(path.dirname(configPath), 'completion-cache.json');
+}
+
+async function readCompletionCache(configPath) {
+  try {
+    return JSON.parse(await fs.readFile(completionCachePath(configPath), 'utf8'));
+  } catch {
+    return { accounts: {} };
+  }
+}
+
+async function updateCompletionCache(globalOpts, login, source, result) {
+  const { key, values } = COMPLETION_SOURCES[source];
+  try {
+    const file = completionCachePath(getConfigPath(globalOpts.config));
+    const cache = await readCompletionCache(getConfigPath(globalOpts.config));
+    cache.accounts ??= {};
+    cache.accounts[login] = { ...cache.accounts[login], [key]: { updatedAt: Date.now(), values: values(result) } };
+    await fs.mkdir(path.dirname(file), { recursive: true, mode: 0o700 });
+    await fs.writeFile(file, JSON.stringify(cache) + '\n', { mode: 0o600 });
+  } catch {}
+}
+
+function cacheTtlFrom(profile) {
+  return profile?.cacheTtl ?? DEFAULT_CACHE_TTL;
+}
+
+async function resolveId(globalOpts, kind, value, flag) {
+  const text = String(value ?? '').trim();
+  if (/^\d+$/.test(text)) return { id: Number(text) };
+  const spec = ID_KINDS[kind];
+  const name = text.toLowerCase().replace(/\.$/, '');
+  if (!name) throw new BegetError(`${flag} must be a ${spec.label} id or name`, EXIT.USAGE_ERROR);
+  const { credentials, settings } = await sessionProfile(globalOpts);
+  const account = (await readCompletionCache(getConfigPath(globalOpts.config))).accounts?.[credentials.login] ?? {};
+  const cached = spec.sources.map((source) => account[COMPLETION_SOURCES[source].key]);
+  const ttl = cacheTtlFrom(settings) * 1000;
+  const match = (entries) => entries.filter((e) => String(e.name ?? '').toLowerCase() === name);
+  let matches = cached.every((c) => c && Date.now() - c.updatedAt < ttl) ? match(cached.flatMap((c) => c.values)) : [];
+  if (matches.length !== 1) {
+    const entries = [];
+    for (const source of spec.sources) {
+      const [section, method] = source.split('/');
+      entries.push(...COMPLETION_SOURCES[source].values(await executeApi({ globalOpts, cmdOpts: {}, section, method })));
+    }
+    matches = match(entries);
+  }
+  if (!matches.length) throw new BegetError(`${flag}: unknown ${spec.label} '${text}' (see \`${spec.hint}\`)`, EXIT.USAGE_ERROR);
+  if (matches.length > 1) throw new BegetError(`${flag}: ${spec.label} '${text}' is ambiguous (ids ${matches.map((m) => m.id).join(', ')}); pass the numeric id`, EXIT.USAGE_ERROR);
+  return { id: Number(matches[0].id), name: text };
+}
+
+async function resolveIdOptions(globalOpts, cmdOpts, specs) {
+  const ids = {};
+  const resolved = [];
+  for (const [key, kind, flag] of specs) {
+    const { id, name } = await resolveId(globalOpts, kind, cmdOpts[key], flag);
+    ids[key] = id;
+    if (name) resolved.push({ option: flag, name, id });
+  }
+  return { ids, resolved };
+}
+
+function parseCompletionWords(program, words) {
+  const findOption = (cmd, flag) => {
+    for (let c = cmd; c; c = c.parent) {
+      const option = c.options.find((o) => o.long === flag || o.short === flag);
+      if (option) return option;
+    }
+    return undefined;
+  };
+  const state = { cmd: program, namespace: null, positional: 0, values: {}, pending: null, current: words.at(-1) ?? '' };
+  const done = words.slice(0, -1);
+  for (let i = 0; i < done.length; i += 1) {
+    const word = done[i];
+    if (word.startsWith('-')) {
+      const option = findOption(state.cmd, word);
+      if (!option || option.isBoolean() || option.negate) continue;
+      if (i + 1 === done.length) state.pending = option;
+      else state.values[option.long] = done[(i += 1)];
+      continue;
+    }
+    const sub = state.positional ? undefined : state.cmd.commands.find((c) => c.name() === word || c.aliases().includes(word));
+    if (sub) {
+      state.cmd = sub;
+      state.namespace ??= word;
+    } else {
+      state.positional += 1;
+    }
+  }
+  return state;
+}
+
+async function completionSource(state) {
+  const configPath = getConfigPath(state.values['--config']);
+  const cfg = await readConfig(configPath).catch(() => ({ profiles: {} }));
+  const profile = cfg.profiles[state.values['--profile'] ?? process.env.BEGET_PROFILE ?? cfg.activeProfile];
+  const account = (await readCompletionCache(configPath)).accounts?.[state.values['--login'] ?? process.env.BEGET_LOGIN ?? profile?.login] ?? {};
+  const ttl = cacheTtlFrom(profile) * 1000;
+  const fresh = (keys) => keys.flatMap((k) => (account[k] && Date.now() - account[k].updatedAt < ttl ? account[k].values : []));
+  return {
+    profiles: () => Object.keys(cfg.profiles),
+    names: (...keys) => fresh(keys).map((v) => v.name),
+    ids: (...keys) => fresh(keys).map((v) => v.id),
+  };
+}
+
+async function completeWords(program, words) {
+  const state = parseCompletionWords(program, words);
+  const { cmd, pending, namespace, current } = state;
+  let candidates;
+  if (pending) {
+    const source = await completionSource(state);
+    const byOption = {
+      '--profile': () => source.profiles(),
+      '--domain': () => source.names('domains', 'subdomains'),
+      '--fqdn': () => source.names('domains', 'subdomains'),
+      '--full-fqdn': () => source.names('domains', 'subdomains'),
+      '--domain-id': () => source.ids('domains', 'subdomains'),
+      '--site-id': () => source.ids('sites'),
+      '--zone-id': () => source.names('zones'),
+      '--id': () => ({ sites: source.ids('sites'), domains: source.ids('domains', 'subdomains') })[namespace] ?? [],
+      '--suffix': () => ({ ftp: source.names('ftp'), mysql: source.names('mysql') })[namespace] ?? [],
+    };
+    candidates = byOption[pending.long]?.() ?? COMPLETION_CHOICES[pending.long] ?? [];
+  } else if (current.startsWith('-')) {
+    const help = cmd.createHelp();
+    candidates = [];
+    for (let c = cmd; c; c = c.parent) candidates.push(...help.visibleOptions(c).map((o) => o.long ?? o.short));
+  } else if (cmd.commands.length) {
+    candidates = cmd.createHelp().visibleCommands(cmd).map((c) => c.name());
+  } else {
+    const arg = cmd.registeredArguments[state.positional]?.name();
+    const source = arg === 'domain' || (arg === 'name' && namespace === 'auth') ? await completionSource(state) : null;
+    candidates = arg === 'domain' ? source.names('domains', 'subdomains') : arg === 'name' && source ? source.profiles() : [];
+  }
+  return [...new Set(candidates.map(String))].filter((c) => c.startsWith(current));
+}
+
+function completionScript(shell, name) {
+  if (shell === 'bash') {
+    return `# ${name} completion for bash: source <(${name} completion bash)
+_${name}_complete() {
+  local IFS=$'\\n'
+  COMPREPLY=($(${name} __complete -- "\${COMP_WORDS[@]:1:COMP_CWORD}" 2>/dev/null))
+}
+complete -o default -F _${name}_complete ${name}
+`;
+  }
+  if (shell === 'zsh') {
+    return `#compdef ${name}
+# ${name} completion for zsh: source <(${name} completion zsh)
+_${name}() {
+  local -a candidates
+  candidates=("\${(@f)$(${name} __complete -- "\${(@)words[2,CURRENT]}" 2>/dev/null)}")
+  if [[ -n "\${candidates[1]}" ]]; then
+    compadd -Q -- "\${candidates[@]}"
+  else
+    _files
+  fi
+}
+compdef _${name} ${name}
+`;
+  }
+  if (shell === 'fish') {
+    return `# ${name} completion for fish: ${name} completion fish > ~/.config/fish/completions/${name}.fish
+function __${name}_complete
+    set -l tokens (commandline -opc) (commandline -ct)
+    set -l out (${name} __complete -- $tokens[2..-1] 2>/dev/null)
+    if test (count $out) -eq 0
+        __fish_complete_path (commandline -ct)
+    else
+        printf '%s\\n' $out
+    end
+end
+complete -c ${name} -f -a '(__${name}_complete)'
+`;
+  }
+  throw new BegetError(`Unsupported shell '${shell}' (expected: bash, zsh, fish)`, EXIT.USAGE_ERROR);
+}
+
+function createProgram() {
+  const program = new Command();
+  program
+    .name('beget')
+    .description('CLI for Beget API')
+    .version('1.0.0')
+    .option('--config <path>', 'path to config file')
+    .option('--profile <name>', 'profile to use')
+    .option('--profiles <csv>', 'run a read-only command for each of these profiles and merge the rows')
+    .option('--all-profiles', 'like --profiles, with every configured profile')
+    .option('--profiles-concurrency <n>', 'profiles queried in parallel with --profiles/--all-profiles', '4')
+    .option('--fan-out-mutations', 'allow --profiles/--all-profiles for commands that change the account')
+    .option('--login <login>', 'override login for this invocation')
+    .option('--base-url <url>', 'override API base URL')
+    .option('--timeout <ms>', 'request timeout in milliseconds', '20000')
+    .option('--retries <n>', `retries on transient errors (default: profile setting or ${DEFAULT_RETRIES})`)
+    .option('--retry-max-delay <ms>', `cap for exponential backoff (default: profile setting or ${DEFAULT_RETRY_MAX_DELAY})`)
+    .option('--retry-mutations', 'also retry mutating methods when the request may have reached the server')
+    .option('--rate-limit <n>', `max API requests per minute, 0 = unlimited (default: profile setting or ${DEFAULT_RATE_LIMIT})`)
+    .option('--json', 'JSON output (same as --output json)')
+    .option('-o, --output <format>', `output format: ${OUTPUT_FORMATS.join('|')}`, 'table')
+    .option('--fields <csv>', 'only print these fields (dot paths allowed)')
+    .option('--query <conditions>', 'filter rows: field=value, field!=value, field~regex, field>n (comma-separated, all must match)')
+    .option('--no-headers', 'omit header row in table/csv/tsv output')
+    .option('--yes', 'auto-confirm risky actions')
+    .option('-v, --verbose', 'log API calls (method, HTTP status, timing) to stderr')
+    .option('--trace', 'like --verbose, plus redacted request/response bodies')
+    .option('--trace-file <path>', 'write --verbose/--trace output to a file instead of stderr')
+    .option('--record <dir>', 'save every API request/response as sanitized cassette files')
+    .option('--replay <dir>', 'serve API responses from cassette files instead of the network');
+  program.hook('preAction', (thisCommand) => validateOutputOptions(thisCommand.opts()));
+  program.hook('preAction', (thisCommand, actionCommand) => {
+    const opts = thisCommand.opts();
+    if (opts.profiles || opts.allProfiles) actionCommand.action(() => runFanOut(thisCommand, actionCommand));
+  });
+
+  const auth = program.command('auth').description('Manage local Beget credentials');
+  auth.command('add <name>').description('Add/update profile').option('--dry-run').option('--no-input').option('--login <login>').action(async (name, cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    const cfgPath = getConfigPath(globalOpts.config);
+    const cfg = await readConfig(cfgPath);
+    let login = cmdOpts.login ?? globalOpts.login;
+    const apiKey = process.env.BEGET_API_PASSWORD ?? process.env.BEGET_API_KEY ?? (cmdOpts.input !== false ? await promptMasked('Beget API password: ') : null);
+    if (!login && cmdOpts.input !== false) login = await promptLine('Beget login: ');
+    if (!login || !apiKey) throw new BegetError('Missing login/api key', EXIT.USAGE_ERROR);
+    const next = structuredClone(cfg);
+    const { apiKey: _oldKey, apiKeyEnc: _oldEnc, ...settings } = cfg.profiles[name] ?? {};
+    next.profiles[name] = { ...settings, login, apiKey };
+    if (!next.activeProfile) next.activeProfile = name;
+    if (cmdOpts.dryRun) return printResult({ dryRun: true, action: 'auth.add', name, login, encrypted: Boolean(cfg.vault), configPath: cfgPath }, outputOptsFrom(globalOpts));
+    if (cfg.vault) next.profiles[name] = { ...settings, login, apiKeyEnc: encryptSecret(await getVaultKey(cfg, cfgPath, { passphrase: vaultPassphrase() }), apiKey, profileAad(name)) };
+    await writeConfig(cfgPath, next);
+    printResult({ ok: true, profile: name, activeProfile: next.activeProfile }, outputOptsFrom(globalOpts));
+  });
+  auth.command('list').description('List profiles').action(async (_, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    const cfg = await readConfig(getConfigPath(globalOpts.config));
+    const rows = Object.entries(cfg.profiles).map(([name, p]) => ({ name, login: p.login, active: cfg.activeProfile === name, encrypted: Boolean(p.apiKeyEnc) }));
+    if (jsonModeFrom(globalOpts)) return printResult({ profiles: rows, activeProfile: cfg.activeProfile }, outputOptsFrom(globalOpts));
+    if (!rows.length && humanModeFrom(globalOpts)) return printResult('No profiles configured');
+    printResult(rows.map((r) => ({ ...r, active: r.active ? '*' : '' })), outputOptsFrom(globalOpts, LIST_COLUMNS.profiles));
+  });
+  auth.command('use <name>').description('Set active profile').option('--dry-run').action(async (name, cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    const cfgPath = getConfigPath(globalOpts.config);
+    const cfg = await readConfig(cfgPath);
+    if (!cfg.profiles[name]) throw new BegetError(`Profile '${name}' not found`, EXIT.CONFIG_ERROR);
+    if (cmdOpts.dryRun) return printResult({ dryRun: true, action: 'auth.use', profile: name }, outputOptsFrom(globalOpts));
+    cfg.activeProfile = name;
+    await writeConfig(cfgPath, cfg);
+    printResult({ ok: true, activeProfile: name }, outputOptsFrom(globalOpts));
+  });
+  auth.command('remove <name>').description('Remove profile').option('--dry-run').action(async (name, cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    const cfgPath = getConfigPath(globalOpts.config);
+    const cfg = await readConfig(cfgPath);
+    if (!cfg.profiles[name]) throw new BegetError(`Profile '${name}' not found`, EXIT.CONFIG_ERROR);
+    const nextActive = cfg.activeProfile === name ? Object.keys(cfg.profiles).find((k) => k !== name) ?? null : cfg.activeProfile;
+    if (cmdOpts.dryRun) return printResult({ dryRun: true, action: 'auth.remove', profile: name, nextActiveProfile: nextActive }, outputOptsFrom(globalOpts));
+    delete cfg.profiles[name];
+    cfg.activeProfile = nextActive;
+    await writeConfig(cfgPath, cfg);
+    printResult({ ok: true, removed: name, activeProfile: nextActive }, outputOptsFrom(globalOpts));
+  });
+
+  auth.command('config <name>').description('Set per-profile request defaults').option('--retries <n>').option('--retry-max-delay <ms>').option('--rate-limit <n>', 'requests per minute, 0 = unlimited').option('--cache-ttl <duration>', `how long cached names/ids are trusted (default ${DEFAULT_CACHE_TTL}s)`).option('--dry-run').action(async (name, cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    const cfgPath = getConfigPath(globalOpts.config);
+    const cfg = await readConfig(cfgPath);
+    if (!cfg.profiles[name]) throw new BegetError(`Profile '${name}' not found`, EXIT.CONFIG_ERROR);
+    const settings = {};
+    if (cmdOpts.retries !== undefined) settings.retries = parseCount(cmdOpts.retries, '--retries');
+    if (cmdOpts.retryMaxDelay !== undefined) settings.retryMaxDelay = parseCount(cmdOpts.retryMaxDelay, '--retry-max-delay');
+    if (cmdOpts.rateLimit !== undefined) settings.rateLimit = parseCount(cmdOpts.rateLimit, '--rate-limit');
+    if (cmdOpts.cacheTtl !== undefined) settings.cacheTtl = parseDuration(cmdOpts.cacheTtl, '--cache-ttl');
+    if (!Object.keys(settings).length) throw new BegetError('Nothing to change; pass --retries, --retry-max-delay, --rate-limit or --cache-ttl', EXIT.USAGE_ERROR);
+    if (cmdOpts.dryRun) return printResult({ dryRun: true, action: 'auth.config', profile: name, ...settings }, outputOptsFrom(globalOpts));
+    Object.assign(cfg.profiles[name], settings);
+    await writeConfig(cfgPath, cfg);
+    printResult({ ok: true, profile: name, ...settings }, outputOptsFrom(globalOpts));
+  });
+  auth.command('migrate').description('Encrypt stored API passwords with a passphrase vault (or decrypt with --plaintext)').option('--plaintext', 'decrypt all profiles and remove the vault').option('--session-ttl <duration>', 'default `auth unlock` session length', '15m').option('--dry-run').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    const cfgPath = getConfigPath(globalOpts.config);
+    const cfg = await readConfig(cfgPath);
+    const names = Object.keys(cfg.profiles).filter((n) => (cmdOpts.plaintext ? cfg.profiles[n].apiKeyEnc : cfg.profiles[n].apiKey));
+    const sessionTtl = parseDuration(cmdOpts.sessionTtl, '--session-ttl');
+    if (cmdOpts.dryRun) return printResult({ dryRun: true, action: cmdOpts.plaintext ? 'auth.decrypt' : 'auth.encrypt', profiles: names, configVersion: CONFIG_VERSION, configPath: cfgPath }, outputOptsFrom(globalOpts));
+    const next = structuredClone(cfg);
+    if (cmdOpts.plaintext) {
+      if (!cfg.vault) throw new BegetError('Config has no credential vault', EXIT.CONFIG_ERROR);
+      const key = await getVaultKey(cfg, cfgPath, { passphrase: vaultPassphrase() });
+      for (const n of names) {
+        const { apiKeyEnc, ...rest } = cfg.profiles[n];
+        next.profiles[n] = { ...rest, apiKey: decryptSecret(key, apiKeyEnc, profileAad(n)) };
+      }
+      next.vault = null;
+      await fs.rm(vaultSessionPath(cfgPath), { force: true });
+    } else {
+      let key;
+      if (cfg.vault) key = await getVaultKey(cfg, cfgPath, { passphrase: vaultPassphrase() });
+      else ({ vault: next.vault, key } = createVault(await newVaultPassphrase(), sessionTtl));
+      for (const n of names) {
+        const { apiKey, ...rest } = cfg.profiles[n];
+        next.profiles[n] = { ...rest, apiKeyEnc: encryptSecret(key, apiKey, profileAad(n)) };
+      }
+    }
+    await writeConfig(cfgPath, next);
+    printResult({ ok: true, encrypted: Boolean(next.vault), migrated: names, configVersion: next.version }, outputOptsFrom(globalOpts));
+  });
+  auth.command('unlock').description('Unlock the credential vault for a limited time').option('--ttl <duration>', 'session length, e.g. 900, 15m, 2h (default: vault sessionTtl)').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    const cfgPath = getConfigPath(globalOpts.config);
+    const cfg = await readConfig(cfgPath);
+    if (!cfg.vault) throw new BegetError('Config has no credential vault; run `beget auth migrate` first', EXIT.CONFIG_ERROR);
+    const ttl = cmdOpts.ttl !== undefined ? parseDuration(cmdOpts.ttl, '--ttl') : cfg.vault.sessionTtl ?? DEFAULT_SESSION_TTL;
+    const key = await unlockVaultWithPassphrase(cfg.vault, { passphrase: vaultPassphrase() });
+    const expiresAt = await writeVaultSession(cfgPath, cfg.vault, key, ttl);
+    printResult({ ok: true, unlockedUntil: expiresAt }, outputOptsFrom(globalOpts));
+  });
+  auth.command('lock').description('Forget the cached vault session').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    await fs.rm(vaultSessionPath(getConfigPath(globalOpts.config)), { force: true });
+    printResult({ ok: true, locked: true }, outputOptsFrom(globalOpts));
+  });
+
+  const account = program.command('account').description('Account operations');
+  account.command('info').description('user/getAccountInfo').action(async (_, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    const result = await executeApi({ globalOpts, cmdOpts: {}, section: 'user', method: 'getAccountInfo' });
+    printResult(result, outputOptsFrom(globalOpts));
+  });
+  account.command('toggle-ssh').description('user/toggleSsh').requiredOption('--status <0|1>').option('--ftplogin <login>').option('--dry-run').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    const result = await executeApi({ globalOpts, cmdOpts, section: 'user', method: 'toggleSsh', mutate: true, inputData: { status: Number(cmdOpts.status), ftplogin: cmdOpts.ftplogin } });
+    printResult(result, outputOptsFrom(globalOpts));
+  });
+
+  const domains = program.command('domains').description('Domain operations');
+  domains.command('list').description('domain/getList').action(async (_, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    printResult(await executeApi({ globalOpts, cmdOpts: {}, section: 'domain', method: 'getList' }), outputOptsFrom(globalOpts, LIST_COLUMNS.domains));
+  });
+  domains.command('zone-list').description('domain/getZoneList').action(async (_, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    printResult(await executeApi({ globalOpts, cmdOpts: {}, section: 'domain', method: 'getZoneList' }), outputOptsFrom(globalOpts));
+  });
+  domains.command('add-virtual').description('domain/addVirtual').requiredOption('--hostname <name>').requiredOption('--zone-id <id|zone>', 'zone id or name, e.g. ru').option('--dry-run').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    const { ids, resolved } = await resolveIdOptions(globalOpts, cmdOpts, [['zoneId', 'zone', '--zone-id']]);
+    printResult(await executeApi({ globalOpts, cmdOpts, section: 'domain', method: 'addVirtual', mutate: true, resolved, inputData: { hostname: cmdOpts.hostname, zone_id: ids.zoneId } }), outputOptsFrom(globalOpts));
+  });
+  domains.command('delete').description('domain/delete').requiredOption('--id <id|fqdn>', 'domain id or name').option('--dry-run').option('--yes').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    const { ids, resolved } = await resolveIdOptions(globalOpts, cmdOpts, [['id', 'domain', '--id']]);
+    printResult(await executeApi({ globalOpts, cmdOpts, section: 'domain', method: 'delete', mutate: true, risky: true, riskTitle: 'Delete domain', resolved, inputData: { id: ids.id } }), outputOptsFrom(globalOpts));
+  });
+  domains.command('subdomain-list').description('domain/getSubdomainList').action(async (_, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    printResult(await executeApi({ globalOpts, cmdOpts: {}, section: 'domain', method: 'getSubdomainList' }), outputOptsFrom(globalOpts, LIST_COLUMNS.subdomains));
+  });
+  domains.command('add-subdomain-virtual').description('domain/addSubdomainVirtual').requiredOption('--subdomain <name>').requiredOption('--domain-id <id|fqdn>', 'parent domain id or name').option('--dry-run').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    const { ids, resolved } = await resolveIdOptions(globalOpts, cmdOpts, [['domainId', 'domain', '--domain-id']]);
+    printResult(await executeApi({ globalOpts, cmdOpts, section: 'domain', method: 'addSubdomainVirtual', mutate: true, resolved, inputData: { subdomain: cmdOpts.subdomain, domain_id: ids.domainId } }), outputOptsFrom(globalOpts));
+  });
+  domains.command('delete-subdomain').description('domain/deleteSubdomain').requiredOption('--id <id|fqdn>', 'subdomain id or name').option('--dry-run').option('--yes').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    const { ids, resolved } = await resolveIdOptions(globalOpts, cmdOpts, [['id', 'subdomain', '--id']]);
+    printResult(await executeApi({ globalOpts, cmdOpts, section: 'domain', method: 'deleteSubdomain', mutate: true, risky: true, riskTitle: 'Delete subdomain', resolved, inputData: { id: ids.id } }), outputOptsFrom(globalOpts));
+  });
+  domains.command('check-to-register').description('domain/checkDomainToRegister').requiredOption('--hostname <name>').requiredOption('--zone-id <id|zone>', 'zone id or name, e.g. ru').requiredOption('--period <years>').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    const { ids } = await resolveIdOptions(globalOpts, cmdOpts, [['zoneId', 'zone', '--zone-id']]);
+    printResult(await executeApi({ globalOpts, cmdOpts, section: 'domain', method: 'checkDomainToRegister', inputData: { hostname: cmdOpts.hostname, zone_id: ids.zoneId, period: Number(cmdOpts.period) } }), outputOptsFrom(globalOpts));
+  });
+  domains.command('php-version-get').description('domain/getPhpVersion').requiredOption('--full-fqdn <fqdn>').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    printResult(await executeApi({ globalOpts, cmdOpts, section: 'domain', method: 'getPhpVersion', query: { full_fqdn: cmdOpts.fullFqdn } }), outputOptsFrom(globalOpts));
+  });
+  domains.command('php-version-change').description('domain/changePhpVersion').requiredOption('--full-fqdn <fqdn>').requiredOption('--php-version <ver>').option('--is-cgi <bool>', 'true/false', 'false').option('--dry-run').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    const isCgi = ['1', 'true', 'yes'].includes(String(cmdOpts.isCgi).toLowerCase());
+    printResult(await executeApi({ globalOpts, cmdOpts, section: 'domain', method: 'changePhpVersion', mutate: true, inputData: { full_fqdn: cmdOpts.fullFqdn, php_version: cmdOpts.phpVersion, is_cgi: isCgi } }), outputOptsFrom(globalOpts));
+  });
+  domains.command('directives-get').description('domain/getDirectives').requiredOption('--full-fqdn <fqdn>').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    printResult(await executeApi({ globalOpts, cmdOpts, section: 'domain', method: 'getDirectives', query: { full_fqdn: cmdOpts.fullFqdn } }), outputOptsFrom(globalOpts, LIST_COLUMNS.directives));
+  });
+  domains.command('directives-add').description('domain/addDirectives').requiredOption('--full-fqdn <fqdn>').requiredOption('--directives-json <json>').option('--dry-run').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    const directives = parseJsonOption(cmdOpts.directivesJson, 'directives-json');
+    printResult(await executeApi({ globalOpts, cmdOpts, section: 'domain', method: 'addDirectives', mutate: true, inputData: { full_fqdn: cmdOpts.fullFqdn, directives_list: directives } }), outputOptsFrom(globalOpts));
+  });
+  domains.command('directives-remove').description('domain/removeDirectives').requiredOption('--full-fqdn <fqdn>').requiredOption('--directives-json <json>').option('--dry-run').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    const directives = parseJsonOption(cmdOpts.directivesJson, 'directives-json');
+    printResult(await executeApi({ globalOpts, cmdOpts, section: 'domain', method: 'removeDirectives', mutate: true, inputData: { full_fqdn: cmdOpts.fullFqdn, directives_list: directives } }), outputOptsFrom(globalOpts));
+  });
+
+  const dns = program.command('dns').description('DNS operations');
+  dns.command('list <domain>').description('dns/getData').action(async (domain, _, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    printResult(await executeApi({ globalOpts, cmdOpts: {}, section: 'dns', method: 'getData', inputData: { fqdn: domain } }), outputOptsFrom(globalOpts));
+  });
+  dns.command('change-records').description('dns/changeRecords').requiredOption('--fqdn <fqdn>').requiredOption('--records-json <json>').option('--dry-run').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    printResult(await executeApi({ globalOpts, cmdOpts, section: 'dns', method: 'changeRecords', mutate: true, inputData: { fqdn: cmdOpts.fqdn, records: parseJsonOption(cmdOpts.recordsJson, 'records-json') } }), outputOptsFrom(globalOpts));
+  });
+  dns.command('ns-get <domain>').description('Shortcut for DNS records').action(async (domain, _, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    const result = await executeApi({ globalOpts, cmdOpts: {}, section: 'dns', method: 'getData', inputData: { fqdn: domain } });
+    printResult({ fqdn: result.fqdn, dns: result.records?.DNS ?? [], dns_ip: result.records?.DNS_IP ?? [] }, outputOptsFrom(globalOpts));
+  });
+  dns.command('ns-set <domain> <ns1> <ns2>').description('dns/changeRecords shortcut').option('--ip1 <ip>').option('--ip2 <ip>').option('--dry-run').action(async (domain, ns1, ns2, cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    const records = { DNS: [{ priority: 10, value: ns1 }, { priority: 20, value: ns2 }] };
+    if (cmdOpts.ip1 || cmdOpts.ip2) records.DNS_IP = [{ priority: 10, value: cmdOpts.ip1 ?? null }, { priority: 20, value: cmdOpts.ip2 ?? null }];
+    printResult(await executeApi({ globalOpts, cmdOpts, section: 'dns', method: 'changeRecords', mutate: true, inputData: { fqdn: domain, records } }), outputOptsFrom(globalOpts));
+  });
+
+  dns.command('export <domain>').description('Export DNS records (dns/getData) as a zone file').option('--format <format>', 'bind', 'bind').option('--out <file>', 'write to file instead of stdout').action(async (domain, cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    if (cmdOpts.format !== 'bind') throw new BegetError(`Unsupported --format '${cmdOpts.format}' (expected: bind)`, EXIT.USAGE_ERROR);
+    const result = await executeApi({ globalOpts, cmdOpts: {}, section: 'dns', method: 'getData', inputData: { fqdn: domain } });
+    const zone = begetRecordsToZone(result?.fqdn ?? domain, result?.records);
+    if (cmdOpts.out) {
+      await fs.writeFile(cmdOpts.out, zone);
+      return printResult({ ok: true, fqdn: domain, out: cmdOpts.out }, outputOptsFrom(globalOpts));
+    }
+    printResult(zone.trimEnd());
+  });
+  dns.command('import <domain> <zonefile>').description('Replace DNS records (dns/changeRecords) from a BIND zone file').option('--strict', 'fail if the zone has records Beget cannot represent').option('--dry-run').option('--yes').action(async (domain, zonefile, cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    let text;
+    try {
+      text = zonefile === '-' ? fssync.readFileSync(0, 'utf8') : await fs.readFile(zonefile, 'utf8');
+    } catch (err) {
+      throw new BegetError(`Failed to read zone file: ${err.message}`, EXIT.USAGE_ERROR);
+    }
+    const { records, unsupported } = zoneToBegetRecords(parseZoneFile(text, domain), domain);
+    if (unsupported.length && cmdOpts.strict) {
+      throw new BegetError(`Zone file has ${unsupported.length} record(s) Beget cannot represent`, EXIT.USAGE_ERROR, unsupported.map((u) => `line ${u.line}: ${u.owner} ${u.type} ${u.value} (${u.reason})`).join('\n'));
+    }
+    if (!Object.keys(records).length) throw new BegetError('Zone file has no importable records', EXIT.USAGE_ERROR);
+    const before = await fetchDnsRecords(globalOpts, domain);
+    const after = normalizeDnsRecords(records);
+    const outcome = await commitDnsRecords({ globalOpts, cmdOpts, fqdn: domain, before, after, risky: true, riskTitle: `Replace DNS records of ${domain} from ${zonefile}` });
+    if (documentModeFrom(globalOpts)) return printResult({ ...outcome, unsupported }, outputOptsFrom(globalOpts));
+    for (const u of unsupported) stderr.write(`Skipped line ${u.line}: ${u.owner} ${u.type} ${u.value} (${u.reason})\n`);
+    printDnsEdit(outcome, globalOpts);
+  });
+  const dnsRecord = dns.command('record').description('Record-level DNS editing (dns/getData + dns/changeRecords)');
+  function dnsRecordCommand(action, description) {
+    const command = dnsRecord.command(`${action} <domain>`).description(description)
+      .requiredOption('--type <type>', Object.keys(DNS_RECORD_TYPES).join('|'))
+      .option('--value <value>', 'record value (repeatable)', collect, [])
+      .option('--priority <n>', 'record priority (MX preference)')
+      .option('--weight <n>', 'SRV weight')
+      .option('--port <n>', 'SRV port')
+      .option('--dry-run')
+      .option('--yes');
+    if (action === 'remove') command.option('--all', 'remove all records of --type');
+    return command.action(async (domain, cmdOpts, cmd) => {
+      const globalOpts = cmd.parent.parent.parent.opts();
+      const all = action === 'remove' && Boolean(cmdOpts.all);
+      const change = dnsRecordsFromOptions(cmdOpts, { requireValue: !all });
+      printDnsEdit(await editDnsRecords({ globalOpts, cmdOpts, fqdn: domain, action, change, all }), globalOpts);
+    });
+  }
+  dnsRecordCommand('add', 'Add records, keeping the rest of the zone');
+  dnsRecordCommand('remove', 'Remove matching records (risky)');
+  dnsRecordCommand('set', 'Replace all records of --type with the given values');
+
+  const ftp = program.command('ftp').description('FTP operations');
+  ftp.command('list').description('ftp/getList').action(async (_, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts: {}, section: 'ftp', method: 'getList' }), outputOptsFrom(globalOpts, LIST_COLUMNS.ftp)); });
+  ftp.command('add').description('ftp/add').requiredOption('--suffix <suffix>').requiredOption('--homedir <path>').option('--dry-run').option('--no-input').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    const password = await getSecret({ cmdOpts, envKeys: ['BEGET_FTP_PASSWORD'], prompt: 'FTP account password: ' });
+    printResult(await executeApi({ globalOpts, cmdOpts, section: 'ftp', method: 'add', mutate: true, inputData: { suffix: cmdOpts.suffix, homedir: cmdOpts.homedir, password } }), outputOptsFrom(globalOpts));
+  });
+  ftp.command('change-password').description('ftp/changePassword').requiredOption('--suffix <suffix>').option('--dry-run').option('--no-input').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    const password = await getSecret({ cmdOpts, envKeys: ['BEGET_FTP_PASSWORD'], prompt: 'New FTP password: ' });
+    printResult(await executeApi({ globalOpts, cmdOpts, section: 'ftp', method: 'changePassword', mutate: true, inputData: { suffix: cmdOpts.suffix, password } }), outputOptsFrom(globalOpts));
+  });
+  ftp.command('delete').description('ftp/delete').requiredOption('--suffix <suffix>').option('--dry-run').option('--yes').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    printResult(await executeApi({ globalOpts, cmdOpts, section: 'ftp', method: 'delete', mutate: true, risky: true, riskTitle: 'Delete FTP account', inputData: { suffix: cmdOpts.suffix } }), outputOptsFrom(globalOpts));
+  });
+
+  const mail = program.command('mail').description('Mail operations');
+  mail.command('mailbox-list').requiredOption('--domain <domain>').description('mail/getMailboxList').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'mail', method: 'getMailboxList', inputData: { domain: cmdOpts.domain } }), outputOptsFrom(globalOpts, LIST_COLUMNS.mailboxes)); });
+  mail.command('mailbox-password-change').requiredOption('--domain <domain>').requiredOption('--mailbox <name>').option('--dry-run').option('--no-input').description('mail/changeMailboxPassword').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    const mailbox_password = await getSecret({ cmdOpts, envKeys: ['BEGET_MAILBOX_PASSWORD'], prompt: 'Mailbox password: ' });
+    printResult(await executeApi({ globalOpts, cmdOpts, section: 'mail', method: 'changeMailboxPassword', mutate: true, inputData: { domain: cmdOpts.domain, mailbox: cmdOpts.mailbox, mailbox_password } }), outputOptsFrom(globalOpts));
+  });
+  mail.command('mailbox-create').requiredOption('--domain <domain>').requiredOption('--mailbox <name>').option('--dry-run').option('--no-input').description('mail/createMailbox').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    const mailbox_password = await getSecret({ cmdOpts, envKeys: ['BEGET_MAILBOX_PASSWORD'], prompt: 'Mailbox password: ' });
+    printResult(await executeApi({ globalOpts, cmdOpts, section: 'mail', method: 'createMailbox', mutate: true, inputData: { domain: cmdOpts.domain, mailbox: cmdOpts.mailbox, mailbox_password } }), outputOptsFrom(globalOpts));
+  });
+  mail.command('mailbox-drop').requiredOption('--domain <domain>').requiredOption('--mailbox <name>').option('--dry-run').option('--yes').description('mail/dropMailbox').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    printResult(await executeApi({ globalOpts, cmdOpts, section: 'mail', method: 'dropMailbox', mutate: true, risky: true, riskTitle: 'Drop mailbox', inputData: { domain: cmdOpts.domain, mailbox: cmdOpts.mailbox } }), outputOptsFrom(globalOpts));
+  });
+  mail.command('mailbox-settings-change').requiredOption('--domain <domain>').requiredOption('--mailbox <name>').requiredOption('--spam-filter-status <0|1>').requiredOption('--spam-filter <0-100>').requiredOption('--forward-mail-status <mode>').option('--dry-run').description('mail/changeMailboxSettings').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    printResult(await executeApi({ globalOpts, cmdOpts, section: 'mail', method: 'changeMailboxSettings', mutate: true, inputData: { domain: cmdOpts.domain, mailbox: cmdOpts.mailbox, spam_filter_status: Number(cmdOpts.spamFilterStatus), spam_filter: Number(cmdOpts.spamFilter), forward_mail_status: cmdOpts.forwardMailStatus } }), outputOptsFrom(globalOpts));
+  });
+  mail.command('forward-add').requiredOption('--domain <domain>').requiredOption('--mailbox <name>').requiredOption('--forward-mailbox <email>').option('--dry-run').description('mail/forwardListAddMailbox').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'mail', method: 'forwardListAddMailbox', mutate: true, inputData: { domain: cmdOpts.domain, mailbox: cmdOpts.mailbox, forward_mailbox: cmdOpts.forwardMailbox } }), outputOptsFrom(globalOpts)); });
+  mail.command('forward-delete').requiredOption('--domain <domain>').requiredOption('--mailbox <name>').requiredOption('--forward-mailbox <email>').option('--dry-run').description('mail/forwardListDeleteMailbox').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'mail', method: 'forwardListDeleteMailbox', mutate: true, inputData: { domain: cmdOpts.domain, mailbox: cmdOpts.mailbox, forward_mailbox: cmdOpts.forwardMailbox } }), outputOptsFrom(globalOpts)); });
+  mail.command('forward-show').requiredOption('--domain <domain>').requiredOption('--mailbox <name>').description('mail/forwardListShow').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'mail', method: 'forwardListShow', inputData: { domain: cmdOpts.domain, mailbox: cmdOpts.mailbox } }), outputOptsFrom(globalOpts, LIST_COLUMNS.forwards)); });
+  mail.command('domain-mail-set').requiredOption('--domain <domain>').requiredOption('--domain-mailbox <email>').option('--dry-run').description('mail/setDomainMail').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'mail', method: 'setDomainMail', mutate: true, inputData: { domain: cmdOpts.domain, domain_mailbox: cmdOpts.domainMailbox } }), outputOptsFrom(globalOpts)); });
+  mail.command('domain-mail-clear').requiredOption('--domain <domain>').option('--dry-run').description('mail/clearDomainMail').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'mail', method: 'clearDomainMail', mutate: true, inputData: { domain: cmdOpts.domain } }), outputOptsFrom(globalOpts)); });
+  mail.command('import <csv>').description('Create or update mailboxes from CSV (mailbox,password,spam_filter_status,spam_filter,forward_mail_status,forwards)').requiredOption('--domain <domain>').option('--existing <mode>', 'existing mailboxes: skip|update', 'skip').option('--credentials-out <file>', 'write generated passwords here (mode 0600)').option('--dry-run').action(async (file, cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    if (!['skip', 'update'].includes(cmdOpts.existing)) throw new BegetError('--existing must be skip or update', EXIT.USAGE_ERROR);
+    const entries = parseMailCsv(await readTextInput(file, 'mail CSV'), cmdOpts.domain);
+    const state = await readMailState(globalOpts, cmdOpts.domain, entries.filter((e) => e.forwards?.length).map((e) => e.mailbox));
+    const { actions, skipped } = buildMailImportPlan(cmdOpts.domain, entries, state, { update: cmdOpts.existing === 'update' });
+    const generated = actions.filter((a) => a.generated);
+    const described = actions.map(({ op, kind, name, detail, section, method, inputData }) => ({ op, kind, name, detail, section, method, inputData: redactSecrets(inputData) }));
+    const text = `${formatPlan(described)}${skipped.length ? `\nSkipped ${skipped.length} existing mailbox(es): ${skipped.join(', ')}` : ''}`;
+    if (cmdOpts.dryRun || !actions.length) return printPlan({ dryRun: Boolean(cmdOpts.dryRun), actions: described, skipped, summary: planSummary(described) }, text, globalOpts);
+    if (generated.length && !cmdOpts.credentialsOut) throw new BegetError(`${generated.length} mailbox(es) have no password; pass --credentials-out <file> to generate them`, EXIT.USAGE_ERROR);
+    if (generated.length) {
+      for (const action of generated) action.inputData.mailbox_password = generatePassword();
+      await writeSecretFile(cmdOpts.credentialsOut, `mailbox,password\n${generated.map((a) => `${a.name},${a.inputData.mailbox_password}`).join('\n')}\n`);
+    }
+    const applied = await applyMailImport({ globalOpts, actions });
+    printPlan({ ok: true, actions: applied, skipped, credentialsOut: generated.length ? cmdOpts.credentialsOut : undefined, summary: planSummary(described) }, `${text}\nApplied ${applied.length} action(s).${generated.length ? `\nGenerated passwords written to ${cmdOpts.credentialsOut}` : ''}`, globalOpts);
+  });
+  mail.command('export').description('Print mailboxes (mail/getMailboxList, mail/forwardListShow) as CSV for mail import').requiredOption('--domain <domain>').option('--out <file>', 'write to file instead of stdout').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    const state = await readMailState(globalOpts, cmdOpts.domain);
+    const csv = formatMailCsv(state);
+    if (!cmdOpts.out) return printResult(csv.trimEnd());
+    await fs.writeFile(cmdOpts.out, csv);
+    printResult({ ok: true, domain: cmdOpts.domain, mailboxes: state.mailboxes.length, out: cmdOpts.out }, outputOptsFrom(globalOpts));
+  });
+
+  const mysql = program.command('mysql').description('MySQL operations');
+  mysql.command('list').description('mysql/getList').action(async (_, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts: {}, section: 'mysql', method: 'getList' }), outputOptsFrom(globalOpts, LIST_COLUMNS.mysql)); });
+  mysql.command('db-add').requiredOption('--suffix <suffix>').option('--dry-run').option('--no-input').description('mysql/addDb').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); const password = await getSecret({ cmdOpts, envKeys: ['BEGET_MYSQL_PASSWORD'], prompt: 'MySQL password: ' }); printResult(await executeApi({ globalOpts, cmdOpts, section: 'mysql', method: 'addDb', mutate: true, inputData: { suffix: cmdOpts.suffix, password } }), outputOptsFrom(globalOpts)); });
+  mysql.command('access-add').requiredOption('--suffix <suffix>').requiredOption('--access <access>').option('--dry-run').option('--no-input').description('mysql/addAccess').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); const password = await getSecret({ cmdOpts, envKeys: ['BEGET_MYSQL_PASSWORD'], prompt: 'MySQL access password: ' }); printResult(await executeApi({ globalOpts, cmdOpts, section: 'mysql', method: 'addAccess', mutate: true, inputData: { suffix: cmdOpts.suffix, access: cmdOpts.access, password } }), outputOptsFrom(globalOpts)); });
+  mysql.command('db-drop').requiredOption('--suffix <suffix>').option('--dry-run').option('--yes').description('mysql/dropDb').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'mysql', method: 'dropDb', mutate: true, risky: true, riskTitle: 'Drop MySQL database', inputData: { suffix: cmdOpts.suffix } }), outputOptsFrom(globalOpts)); });
+  mysql.command('access-drop').requiredOption('--suffix <suffix>').requiredOption('--access <access>').option('--dry-run').option('--yes').description('mysql/dropAccess').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'mysql', method: 'dropAccess', mutate: true, risky: true, riskTitle: 'Drop MySQL access', inputData: { suffix: cmdOpts.suffix, access: cmdOpts.access } }), outputOptsFrom(globalOpts)); });
+  mysql.command('access-password-change').requiredOption('--suffix <suffix>').requiredOption('--access <access>').option('--dry-run').option('--no-input').description('mysql/changeAccessPassword').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); const password = await getSecret({ cmdOpts, envKeys: ['BEGET_MYSQL_PASSWORD'], prompt: 'New MySQL password: ' }); printResult(await executeApi({ globalOpts, cmdOpts, section: 'mysql', method: 'changeAccessPassword', mutate: true, inputData: { suffix: cmdOpts.suffix, access: cmdOpts.access, password } }), outputOptsFrom(globalOpts)); });
+
+  const backup = program.command('backup').description('Backup operations');
+  backup.command('file-backup-list').description('backup/getFileBackupList').action(async (_, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts: {}, section: 'backup', method: 'getFileBackupList' }), outputOptsFrom(globalOpts, LIST_COLUMNS.backups)); });
+  backup.command('mysql-backup-list').description('backup/getMysqlBackupList').action(async (_, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts: {}, section: 'backup', method: 'getMysqlBackupList' }), outputOptsFrom(globalOpts, LIST_COLUMNS.backups)); });
+  backup.command('file-list').description('backup/getFileList').option('--backup-id <id>').option('--path <path>', '/', 'path in backup').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'backup', method: 'getFileList', inputData: { backup_id: cmdOpts.backupId ? Number(cmdOpts.backupId) : undefined, path: cmdOpts.path } }), outputOptsFrom(globalOpts, LIST_COLUMNS.backupFiles)); });
+  backup.command('mysql-list').description('backup/getMysqlList').option('--backup-id <id>').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'backup', method: 'getMysqlList', inputData: { backup_id: cmdOpts.backupId ? Number(cmdOpts.backupId) : undefined } }), outputOptsFrom(globalOpts)); });
+  function backupTaskCommand(name, method, { operation, type, risky, riskTitle, options, inputData }) {
+    const command = backup.command(name).description(`backup/${method}`);
+    options(command);
+    if (risky) command.option('--yes');
+    return command
+      .option('--wait', 'poll backup/getLog until the task finishes')
+      .option('--wait-timeout <duration>', 'give up waiting after this long (exit 8)', '30m')
+      .option('--poll-interval <duration>', 'backup/getLog polling interval', '10s')
+      .option('--dry-run')
+      .action(async (cmdOpts, cmd) => {
+        const globalOpts = cmd.parent.parent.opts();
+        printResult(await runBackupTask({ globalOpts, cmdOpts, operation, type, method, mutate: true, risky, riskTitle, inputData: inputData(cmdOpts) }), outputOptsFrom(globalOpts));
+      });
+  }
+  backupTaskCommand('restore-file', 'restoreFile', { operation: 'restore', type: 'file', risky: true, riskTitle: 'Restore files from backup', options: (c) => c.requiredOption('--backup-id <id>').requiredOption('--paths <csv>'), inputData: (o) => ({ backup_id: Number(o.backupId), paths: parseCsv(o.paths) }) });
+  backupTaskCommand('restore-mysql', 'restoreMysql', { operation: 'restore', type: 'mysql', risky: true, riskTitle: 'Restore MySQL databases from backup', options: (c) => c.requiredOption('--backup-id <id>').requiredOption('--bases <csv>'), inputData: (o) => ({ backup_id: Number(o.backupId), bases: parseCsv(o.bases) }) });
+  backupTaskCommand('download-file', 'downloadFile', { operation: 'download', type: 'file', options: (c) => c.requiredOption('--paths <csv>').option('--backup-id <id>'), inputData: (o) => ({ backup_id: o.backupId ? Number(o.backupId) : undefined, paths: parseCsv(o.paths) }) });
+  backupTaskCommand('download-mysql', 'downloadMysql', { operation: 'download', type: 'mysql', options: (c) => c.requiredOption('--bases <csv>').option('--backup-id <id>'), inputData: (o) => ({ backup_id: o.backupId ? Number(o.backupId) : undefined, bases: parseCsv(o.bases) }) });
+  backup.command('log').description('backup/getLog').action(async (_, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts: {}, section: 'backup', method: 'getLog' }), outputOptsFrom(globalOpts, LIST_COLUMNS.backupLog)); });
+  backup.command('wait').description('Wait for a backup task (backup/getLog) to finish').option('--id <id>', 'task id from backup log (default: newest unfinished task)').option('--operation <restore|download>').option('--type <file|mysql>').option('--wait-timeout <duration>', 'give up after this long (exit 8)', '30m').option('--poll-interval <duration>', 'polling interval', '10s').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    const task = await waitForBackupTask({ globalOpts, match: backupTaskMatcher({ id: cmdOpts.id, operation: cmdOpts.operation, type: cmdOpts.type }), ...waitOptionsFrom(cmdOpts) });
+    const isDownload = String(task.operation ?? cmdOpts.operation ?? '').toLowerCase().includes('download');
+    printResult(isDownload ? { ok: true, task, archive: backupArchiveLocation(task) } : { ok: true, task }, outputOptsFrom(globalOpts));
+  });
+
+  const cron = program.command('cron').description('Cron operations');
+  cron.command('list').description('cron/getList').action(async (_, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts: {}, section: 'cron', method: 'getList' }), outputOptsFrom(globalOpts, LIST_COLUMNS.cron)); });
+  cron.command('add').description('cron/add').requiredOption('--minutes <m>').requiredOption('--hours <h>').requiredOption('--days <d>').requiredOption('--months <m>').requiredOption('--weekdays <w>').requiredOption('--command <cmd>').option('--dry-run').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); validateCronJob(cmdOpts); printResult(await executeApi({ globalOpts, cmdOpts, section: 'cron', method: 'add', mutate: true, inputData: { minutes: cmdOpts.minutes, hours: cmdOpts.hours, days: cmdOpts.days, months: cmdOpts.months, weekdays: cmdOpts.weekdays, command: cmdOpts.command } }), outputOptsFrom(globalOpts)); });
+  cron.command('edit').description('cron/edit').requiredOption('--row-number <id>').requiredOption('--minutes <m>').requiredOption('--hours <h>').requiredOption('--days <d>').requiredOption('--months <m>').requiredOption('--weekdays <w>').requiredOption('--command <cmd>').option('--dry-run').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); validateCronJob(cmdOpts); printResult(await executeApi({ globalOpts, cmdOpts, section: 'cron', method: 'edit', mutate: true, inputData: { row_number: Number(cmdOpts.rowNumber), minutes: cmdOpts.minutes, hours: cmdOpts.hours, days: cmdOpts.days, months: cmdOpts.months, weekdays: cmdOpts.weekdays, command: cmdOpts.command } }), outputOptsFrom(globalOpts)); });
+  cron.command('delete').description('cron/delete').requiredOption('--row-number <id>').option('--dry-run').option('--yes').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'cron', method: 'delete', mutate: true, risky: true, riskTitle: 'Delete cron task', inputData: { row_number: Number(cmdOpts.rowNumber) } }), outputOptsFrom(globalOpts)); });
+  cron.command('change-hidden-state').description('cron/changeHiddenState').requiredOption('--row-number <id>').requiredOption('--is-hidden <0|1>').option('--dry-run').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'cron', method: 'changeHiddenState', mutate: true, inputData: { row_number: Number(cmdOpts.rowNumber), is_hidden: Number(cmdOpts.isHidden) } }), outputOptsFrom(globalOpts)); });
+  cron.command('email-get').description('cron/getEmail').action(async (_, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts: {}, section: 'cron', method: 'getEmail' }), outputOptsFrom(globalOpts)); });
+  cron.command('email-set').description('cron/setEmail').requiredOption('--email <email>').option('--dry-run').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'cron', method: 'setEmail', mutate: true, inputData: { email: cmdOpts.email } }), outputOptsFrom(globalOpts)); });
+  cron.command('export').description('Print cron/getList as crontab').option('--out <file>', 'write to file instead of stdout').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    const rows = asList(await executeApi({ globalOpts, cmdOpts: {}, section: 'cron', method: 'getList' }));
+    const crontab = formatCrontab(rows);
+    if (!cmdOpts.out) return printResult(crontab.trimEnd());
+    await fs.writeFile(cmdOpts.out, crontab);
+    printResult({ ok: true, tasks: rows.length, out: cmdOpts.out }, outputOptsFrom(globalOpts));
+  });
+  cron.command('import <file>').description('Sync cron tasks with a crontab file (cron/add, cron/edit, cron/delete)').option('--dry-run').option('--yes').action(async (file, cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    const jobs = parseCrontab(await readTextInput(file, 'crontab'));
+    const rows = asList(await executeApi({ globalOpts, cmdOpts: {}, section: 'cron', method: 'getList' }));
+    const actions = buildCronPlan(jobs, rows);
+    const described = actions.map(({ op, kind, name, detail, section, method, inputData }) => ({ op, kind, name, detail, section, method, inputData }));
+    if (cmdOpts.dryRun || !actions.length) return printPlan({ dryRun: Boolean(cmdOpts.dryRun), actions: described, summary: planSummary(described) }, formatPlan(described), globalOpts);
+    const applied = await applyCronPlan({ globalOpts, cmdOpts, actions });
+    printPlan({ ok: true, actions: applied.map(({ hide, ...a }) => a), summary: planSummary(described) }, `${formatPlan(described)}\nApplied ${applied.length} action(s).`, globalOpts);
+  });
+
+  const sites = program.command('sites').description('Site operations (API section: site)');
+  sites.command('list').description('site/getList').action(async (_, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts: {}, section: 'site', method: 'getList' }), outputOptsFrom(globalOpts, LIST_COLUMNS.sites)); });
+  sites.command('add').description('site/add').requiredOption('--name <dir>').option('--dry-run').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'site', method: 'add', mutate: true, inputData: { name: cmdOpts.name } }), outputOptsFrom(globalOpts)); });
+  sites.command('delete').description('site/delete').requiredOption('--id <id|name>', 'site id or directory name').option('--dry-run').option('--yes').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); const { ids, resolved } = await resolveIdOptions(globalOpts, cmdOpts, [['id', 'site', '--id']]); printResult(await executeApi({ globalOpts, cmdOpts, section: 'site', method: 'delete', mutate: true, risky: true, riskTitle: 'Delete site', resolved, inputData: { id: ids.id } }), outputOptsFrom(globalOpts)); });
+  sites.command('link-domain').description('site/linkDomain').requiredOption('--domain-id <id|fqdn>', 'domain or subdomain id or name').requiredOption('--site-id <id|name>', 'site id or directory name').option('--dry-run').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); const { ids, resolved } = await resolveIdOptions(globalOpts, cmdOpts, [['domainId', 'anyDomain', '--domain-id'], ['siteId', 'site', '--site-id']]); printResult(await executeApi({ globalOpts, cmdOpts, section: 'site', method: 'linkDomain', mutate: true, resolved, inputData: { domain_id: ids.domainId, site_id: ids.siteId } }), outputOptsFrom(globalOpts)); });
+  sites.command('unlink-domain').description('site/unlinkDomain').requiredOption('--domain-id <id|fqdn>', 'domain or subdomain id or name').option('--dry-run').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); const { ids, resolved } = await resolveIdOptions(globalOpts, cmdOpts, [['domainId', 'anyDomain', '--domain-id']]); printResult(await executeApi({ globalOpts, cmdOpts, section: 'site', method: 'unlinkDomain', mutate: true, resolved, inputData: { domain_id: ids.domainId } }), outputOptsFrom(globalOpts)); });
+  sites.command('freeze').description('site/freeze').requiredOption('--id <id|name>', 'site id or directory name').option('--excluded-paths <csv>').option('--dry-run').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); const { ids, resolved } = await resolveIdOptions(globalOpts, cmdOpts, [['id', 'site', '--id']]); printResult(await executeApi({ globalOpts, cmdOpts, section: 'site', method: 'freeze', mutate: true, resolved, inputData: { id: ids.id, excludedPaths: cmdOpts.excludedPaths ? parseCsv(cmdOpts.excludedPaths) : undefined } }), outputOptsFrom(globalOpts)); });
+  sites.command('unfreeze').description('site/unfreeze').requiredOption('--id <id|name>', 'site id or directory name').option('--dry-run').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); const { ids, resolved } = await resolveIdOptions(globalOpts, cmdOpts, [['id', 'site', '--id']]); printResult(await executeApi({ globalOpts, cmdOpts, section: 'site', method: 'unfreeze', mutate: true, resolved, inputData: { id: ids.id } }), outputOptsFrom(globalOpts)); });
+  sites.command('is-frozen').description('site/isSiteFrozen').requiredOption('--site-id <id|name>', 'site id or directory name').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); const { ids } = await resolveIdOptions(globalOpts, cmdOpts, [['siteId', 'site', '--site-id']]); printResult(await executeApi({ globalOpts, cmdOpts, section: 'site', method: 'isSiteFrozen', inputData: { site_id: ids.siteId } }), outputOptsFrom(globalOpts)); });
+  sites.command('provision').description('Create a site with its domain, PHP settings, database and mailbox in one run; completed steps are rolled back on failure').requiredOption('--name <dir>', 'site directory (site/add)').requiredOption('--domain <fqdn>', 'domain or subdomain to create (domain/addVirtual, domain/addSubdomainVirtual) or reuse, then link').option('--php <version>', 'PHP version for the domain (domain/changePhpVersion)').option('--cgi', 'run PHP as CGI').option('--directives-json <json>', 'directives to add (domain/addDirectives)').option('--db <suffix>', 'create a MySQL database (mysql/addDb, mysql/addAccess)').option('--db-access <host>', 'MySQL access host', 'localhost').option('--mailbox <name>', 'create a mailbox on the domain (mail/createMailbox)').option('--dry-run').option('--no-input').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    const directives = parseJsonOption(cmdOpts.directivesJson, 'directives-json');
+    if (directives !== undefined && (!Array.isArray(directives) || directives.some((x) => !x?.name))) throw new BegetError('directives-json must be an array of {name, value}', EXIT.USAGE_ERROR);
+    const opts = { ...cmdOpts, directives };
+    const state = await readProvisionState(globalOpts, opts);
+    const steps = buildProvisionSteps(opts, state);
+    const described = describeProvision(steps, state);
+    if (cmdOpts.dryRun) return printPlan({ dryRun: true, actions: described, summary: planSummary(described) }, formatProvision(described), globalOpts);
+    const secrets = {};
+    if (cmdOpts.db) secrets.BEGET_MYSQL_PASSWORD = await getSecret({ cmdOpts, envKeys: ['BEGET_MYSQL_PASSWORD'], prompt: 'MySQL password: ' });
+    if (cmdOpts.mailbox) secrets.BEGET_MAILBOX_PASSWORD = await getSecret({ cmdOpts, envKeys: ['BEGET_MAILBOX_PASSWORD'], prompt: 'Mailbox password: ' });
+    const { applied, ids } = await runProvision({ globalOpts, steps, state, described, secrets });
+    const siteId = ids.get(`site:${cmdOpts.name}`);
+    const domainId = ids.get(`domain:${cmdOpts.domain}`);
+    printPlan({ ok: true, site: { name: cmdOpts.name, id: siteId ?? null }, domain: { fqdn: cmdOpts.domain, id: domainId ?? null }, actions: applied, summary: planSummary(described) }, `${formatProvision(described)}\nProvisioned site ${cmdOpts.name} (id ${siteId ?? '?'}) on ${cmdOpts.domain} in ${applied.length} step(s).`, globalOpts);
+  });
+
+  const stats = program.command('stats').description('Statistics operations (API section: stat)');
+  stats.command('sites-list-load').description('stat/getSitesListLoad').action(async (_, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts: {}, section: 'stat', method: 'getSitesListLoad' }), outputOptsFrom(globalOpts)); });
+  stats.command('site-load').description('stat/getSiteLoad').requiredOption('--site-name <name>').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'stat', method: 'getSiteLoad', inputData: { site_name: cmdOpts.siteName } }), outputOptsFrom(globalOpts)); });
+  stats.command('db-list-load').description('stat/getDbListLoad').action(async (_, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts: {}, section: 'stat', method: 'getDbListLoad' }), outputOptsFrom(globalOpts)); });
+  stats.command('db-load').description('stat/getDbLoad').requiredOption('--db-name <name>').action(async (cmdOpts, cmd) => { const globalOpts = cmd.parent.parent.opts(); printResult(await executeApi({ globalOpts, cmdOpts, section: 'stat', method: 'getDbLoad', inputData: { db_name: cmdOpts.dbName } }), outputOptsFrom(globalOpts)); });
+  stats.command('watch').description('Poll stat/getSitesListLoad and stat/getDbListLoad and print changes').option('--sites-only').option('--dbs-only').option('--interval <duration>', 'polling interval', '60s').option('--count <n>', 'stop after n polls (default: run until interrupted)').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    const intervalMs = parseDuration(cmdOpts.interval, '--interval') * 1000;
+    const count = cmdOpts.count === undefined ? Infinity : parseCount(cmdOpts.count, '--count');
+    const human = humanModeFrom(globalOpts);
+    let previous = null;
+    for (let i = 0; i < count; i += 1) {
+      if (i) await sleep(intervalMs);
+      let current;
+      try {
+        current = await readLoadStats(globalOpts, { sites: !cmdOpts.dbsOnly, dbs: !cmdOpts.sitesOnly });
+      } catch (err) {
+        // A monitor outlives transient outages: report the failed poll and keep polling.
+        if (!err.retry) throw err;
+        printError(err, !human);
+        continue;
+      }
+      const time = new Date().toISOString();
+      for (const change of loadChanges(previous, current)) {
+        if (batchContext.getStore()) printResult({ time, ...change });
+        else if (!human) printResult(JSON.stringify({ time, ...change }));
+        else printResult(`${time}  ${change.kind} ${change.name} ${change.metric} ${change.from === null ? change.to : `${change.from} -> ${change.to} (${change.to >= change.from ? '+' : ''}${Math.round((change.to - change.from) * 100) / 100})`}`);
+      }
+      previous = current;
+    }
+  });
+  stats.command('check').description('Nagios-style load check: exit 0 OK, 1 WARNING, 2 CRITICAL, 3 UNKNOWN').option('--site-cpu-warn <n>').option('--site-cpu-max <n>').option('--db-load-warn <n>').option('--db-load-max <n>').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    try {
+      const limits = { site: { warn: parseThreshold(cmdOpts.siteCpuWarn, '--site-cpu-warn'), max: parseThreshold(cmdOpts.siteCpuMax, '--site-cpu-max') }, db: { warn: parseThreshold(cmdOpts.dbLoadWarn, '--db-load-warn'), max: parseThreshold(cmdOpts.dbLoadMax, '--db-load-max') } };
+      const sites = limits.site.warn !== undefined || limits.site.max !== undefined;
+      const dbs = limits.db.warn !== undefined || limits.db.max !== undefined;
+      if (!sites && !dbs) throw new BegetError('Set at least one threshold: --site-cpu-max, --site-cpu-warn, --db-load-max, --db-load-warn', EXIT.USAGE_ERROR);
+      const { state, line } = checkLoadStats(await readLoadStats(globalOpts, { sites, dbs }), limits);
+      printNagios(state, line);
+    } catch (err) {
+      printNagios('UNKNOWN', `STATS UNKNOWN - ${err.message}`);
+    }
+  });
+  stats.command('export').description('Write load metrics for the node_exporter textfile collector').option('--format <format>', 'only prometheus is supported', 'prometheus').option('--out <file>', 'write atomically to this file (e.g. /var/lib/node_exporter/beget.prom) instead of stdout').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.parent.opts();
+    if (cmdOpts.format !== 'prometheus') throw new BegetError(`Unsupported --format '${cmdOpts.format}' (expected: prometheus)`, EXIT.USAGE_ERROR);
+    const metrics = formatPrometheus(await readLoadStats(globalOpts));
+    if (!cmdOpts.out) return printResult(metrics.trimEnd());
+    await writeFileAtomic(cmdOpts.out, metrics);
+    printResult({ ok: true, out: cmdOpts.out }, outputOptsFrom(globalOpts));
+  });
+
+  program.command('plan <manifest>').description('Show actions needed to make the account match a YAML/JSON manifest').option('--no-prune', 'never plan deletes for unlisted resources').action(async (file, cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.opts();
+    const { described } = await preparePlan(globalOpts, file, cmdOpts);
+    printPlan({ actions: described, summary: planSummary(described) }, formatPlan(described), globalOpts);
+  });
+  program.command('apply <manifest>').description('Apply a YAML/JSON manifest (deletes are risky)').option('--no-prune', 'never delete unlisted resources').option('--dry-run').option('--yes').action(async (file, cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.opts();
+    const { actions, state, described } = await preparePlan(globalOpts, file, cmdOpts);
+    if (cmdOpts.dryRun || !actions.length) {
+      return printPlan({ dryRun: Boolean(cmdOpts.dryRun), actions: described, summary: planSummary(described) }, formatPlan(described), globalOpts);
+    }
+    const applied = await applyPlan({ globalOpts, cmdOpts, actions, state, described });
+    printPlan({ ok: true, actions: applied, summary: planSummary(described) }, `${formatPlan(described)}\nApplied ${applied.length} action(s).`, globalOpts);
+  });
+
+  program.command('rotate').description('Rotate FTP, MySQL access and mailbox passwords (ftp/changePassword, mysql/changeAccessPassword, mail/changeMailboxPassword)').option('--ftp', 'rotate FTP accounts (ftp/getList)').option('--mysql', 'rotate MySQL accesses (mysql/getList)').option('--mail', 'rotate mailboxes (mail/getMailboxList)').option('--mail-domain <domain>', 'only mailboxes of this domain (repeatable; default: all domains)', collect, []).option('--match <glob>', 'only targets whose name matches (ftp login, db@access, mailbox@domain; repeatable)', collect, []).option('--length <n>', 'generated password length', '20').option('--symbols', 'include symbols in generated passwords').option('--out <file>', 'write new passwords to this file (mode 0600)').option('--format <json|env>', 'secrets file format (default: env for *.env, else json)').option('--exec <command>', 'pipe new passwords as JSON to this shell command before applying them, and again with only the applied and possibly applied ones if any change fails').option('--dry-run').option('--yes').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.opts();
+    const kinds = ROTATE_KINDS.filter((k) => cmdOpts[k]);
+    if (!kinds.length) throw new BegetError('Choose what to rotate: --ftp, --mysql and/or --mail', EXIT.USAGE_ERROR);
+    const length = parseCount(cmdOpts.length, '--length');
+    if (length < 12) throw new BegetError('--length must be at least 12', EXIT.USAGE_ERROR);
+    const format = cmdOpts.format ?? (/\.env$/i.test(cmdOpts.out ?? '') ? 'env' : 'json');
+    if (!['json', 'env'].includes(format)) throw new BegetError('--format must be json or env', EXIT.USAGE_ERROR);
+    if (!cmdOpts.dryRun && !cmdOpts.out && !cmdOpts.exec) throw new BegetError('New passwords need a destination: pass --out <file> and/or --exec <command>', EXIT.USAGE_ERROR);
+    const patterns = cmdOpts.match.map(globPattern);
+    const targets = (await readRotateTargets(globalOpts, kinds, cmdOpts.mailDomain)).filter((t) => !patterns.length || patterns.some((re) => re.test(t.name)));
+    const described = targets.map((t) => ({ op: 'update', kind: `${t.kind}-password`, name: t.name, section: t.section, method: t.method }));
+    if (cmdOpts.dryRun || !targets.length) return printPlan({ dryRun: Boolean(cmdOpts.dryRun), actions: described, summary: planSummary(described) }, targets.length ? formatPlan(described) : 'No matching targets.', globalOpts);
+    await ensureRiskConfirmation({ cmdOpts, globalOpts, title: `Rotate ${targets.length} password(s)` });
+    const secrets = targets.map((t) => ({ kind: t.kind, name: t.name, password: generatePassword(length, { symbols: Boolean(cmdOpts.symbols) }) }));
+    if (cmdOpts.out) await writeSecretFile(cmdOpts.out, formatRotatedSecrets(secrets, format));
+    if (cmdOpts.exec) runSecretsHook(cmdOpts.exec, secrets, 'no passwords were changed');
+    const results = [];
+    for (const [i, target] of targets.entries()) {
+      try {
+        await executeApi({ globalOpts, cmdOpts: {}, section: target.section, method: target.method, mutate: true, inputData: target.input(secrets[i].password) });
+        results.push({ ...described[i], ok: true });
+      } catch (err) {
+        const possiblyApplied = err.retry === 'unknown';
+        if (possiblyApplied) secrets[i].possiblyApplied = true;
+        results.push({ ...described[i], ok: false, ...(possiblyApplied ? { possiblyApplied } : {}), code: err instanceof BegetError ? err.code : EXIT.GENERIC_ERROR, error: err.message });
+      }
+    }
+    const failed = results.filter((r) => !r.ok && !r.possiblyApplied);
+    const unknown = results.filter((r) => r.possiblyApplied);
+    const rotated = results.length - failed.length - unknown.length;
+    let hookError = null;
+    if (failed.length || unknown.length) {
+      const kept = secrets.filter((_, i) => results[i].ok || results[i].possiblyApplied);
+      if (cmdOpts.out) await writeSecretFile(cmdOpts.out, formatRotatedSecrets(kept, format));
+      if (cmdOpts.exec) {
+        try {
+          runSecretsHook(cmdOpts.exec, kept, 'it still holds the passwords of the failed targets');
+        } catch (err) {
+          hookError = err;
+        }
+      }
+    }
+    const mark = (r) => (r.ok ? '~' : r.possiblyApplied ? '?' : '!');
+    const note = (r) => (r.ok ? '' : r.possiblyApplied ? ` (possibly applied: ${r.error})` : ` (${r.error})`);
+    const text = [...results.map((r) => `${mark(r)} ${r.kind} ${r.name}${note(r)}`), '', `Rotated ${rotated} of ${results.length} password(s)${unknown.length ? `, ${unknown.length} possibly applied` : ''}.${cmdOpts.out ? ` New passwords: ${cmdOpts.out}` : ''}`].join('\n');
+    printPlan({ ok: !failed.length && !unknown.length, actions: results, out: cmdOpts.out, summary: { rotated, possiblyApplied: unknown.length, failed: failed.length } }, text, globalOpts);
+    if (failed.length || unknown.length) {
+      const codes = [...new Set([...failed, ...unknown].map((r) => r.code))];
+      const parts = [
+        ...(failed.length ? [`${failed.length} of ${results.length} password rotation(s) failed; those targets keep their old passwords`] : []),
+        ...(unknown.length ? [`${unknown.length} of ${results.length} failed with an unknown outcome and may have been applied; their passwords are kept and marked "possibly applied"`] : []),
+      ];
+      const details = [...failed.map((r) => `${r.kind} ${r.name}: ${r.error}`), ...unknown.map((r) => `${r.kind} ${r.name} (possibly applied): ${r.error}`), ...(hookError ? [hookError.message] : [])];
+      throw new BegetError(parts.join('; '), codes.length === 1 ? codes[0] : EXIT.GENERIC_ERROR, details.join('\n'));
+    }
+  });
+
+  program.command('batch <file>').description('Run operations from an NDJSON/YAML file (or - for stdin), one NDJSON result line per operation').option('--concurrency <n>', 'operations to run in parallel', '1').option('--continue-on-error', 'keep going after a failed operation').option('--stop-on-error', 'do not start new operations after a failure (default)').option('--dry-run').option('--yes').action(async (file, cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.opts();
+    if (cmdOpts.continueOnError && cmdOpts.stopOnError) throw new BegetError('Use either --continue-on-error or --stop-on-error', EXIT.USAGE_ERROR);
+    const concurrency = parseCount(cmdOpts.concurrency, '--concurrency');
+    if (concurrency < 1) throw new BegetError('--concurrency must be at least 1', EXIT.USAGE_ERROR);
+    const ops = loadBatch(cmd.parent, await readTextInput(file, 'batch file'), file);
+    const risky = ops.filter((op) => op.risky);
+    if (risky.length && !cmdOpts.dryRun) {
+      await ensureRiskConfirmation({ cmdOpts, globalOpts, title: `Batch has ${risky.length} risky operation(s) (${risky.map((op) => `#${op.index} ${op.label}`).join(', ')})` });
+    }
+    const context = { globalOpts, globalArgs: batchGlobalArgs(cmd.parent), dryRun: Boolean(cmdOpts.dryRun), credentials: new Map() };
+    const outcomes = await runBatch(ops, { concurrency, stopOnError: !cmdOpts.continueOnError, run: (op) => runBatchOperation(op, context), report: (line) => console.log(JSON.stringify(line)) });
+    const summary = batchSummary(outcomes);
+    console.log(JSON.stringify({ summary }));
+    if (summary.exitCode !== EXIT.OK) throw new BegetError(`Batch finished with ${summary.failed} failed and ${summary.skipped} skipped operation(s)`, summary.exitCode);
+  });
+
+  program.command('snapshot').description('Capture every read-only resource of the account as sorted JSON (volatile load/size fields excluded)').option('--out <dir>', 'write one JSON file per resource kind into this directory instead of stdout').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.opts();
+    const snapshot = await takeSnapshot(globalOpts);
+    if (humanModeFrom(globalOpts)) for (const e of snapshot.meta.errors) stderr.write(`Warning: ${e.resource}: ${e.error}\n`);
+    if (!cmdOpts.out) return printResult(snapshotJson(snapshot).trimEnd());
+    const files = await writeSnapshot(cmdOpts.out, snapshot);
+    printResult({ ok: true, out: cmdOpts.out, files: files.length, resources: Object.fromEntries(SNAPSHOT_KINDS.map((kind) => [kind, Object.keys(snapshot[kind]).length])), errors: snapshot.meta.errors.length }, outputOptsFrom(globalOpts));
+  });
+  program.command('diff <from> [to]').description('Report added, removed and changed resources between two snapshots (directory or JSON file); without <to> (or with `live`) compare against the live account').action(async (from, to, cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.opts();
+    const before = await readSnapshot(from);
+    const after = to && to !== 'live' ? await readSnapshot(to) : await takeSnapshot(globalOpts);
+    const changes = diffSnapshots(before, after);
+    if (humanModeFrom(globalOpts)) return printResult(formatDrift(changes));
+    if (documentModeFrom(globalOpts)) return printResult({ from, to: to ?? 'live', summary: driftSummary(changes), changes }, outputOptsFrom(globalOpts));
+    printResult(changes, outputOptsFrom(globalOpts, LIST_COLUMNS.drift));
+  });
+
+  program.command('history').description('Show the local audit log of mutating API calls (filter by the global --profile)').option('--since <when>', 'only entries newer than a duration (2h, 7d) or a date').option('--method <section/method>', 'only matching methods, globs allowed (e.g. dns/*)').option('--limit <n>', 'show at most the last n entries (0 = all)', '50').action(async (cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.opts();
+    const since = cmdOpts.since !== undefined ? parseSince(cmdOpts.since) : null;
+    const method = cmdOpts.method ? globPattern(cmdOpts.method) : null;
+    const limit = parseCount(cmdOpts.limit, '--limit');
+    const all = await readAuditLog(getConfigPath(globalOpts.config));
+    const entries = all
+      .filter((e) => since === null || Date.parse(e.time) >= since)
+      .filter((e) => !globalOpts.profile || e.profile === globalOpts.profile)
+      .filter((e) => !method || method.test(`${e.section}/${e.method}`))
+      .slice(-limit || undefined)
+      .map((e) => ({ ...e, undo: auditUndoState(e, all) }));
+    printResult(entries, outputOptsFrom(globalOpts, LIST_COLUMNS.history));
+  });
+  program.command('undo <id>').description('Replay the inverse of a logged mutation (risky; see `beget history`)').option('--dry-run').option('--yes').action(async (id, cmdOpts, cmd) => {
+    const globalOpts = cmd.parent.opts();
+    const entries = await readAuditLog(getConfigPath(globalOpts.config));
+    const entry = entries.find((e) => e.id === id);
+    if (!entry) throw new BegetError(`No audit log entry '${id}' (see \`beget history\`)`, EXIT.USAGE_ERROR);
+    const inverse = auditInverse(entry);
+    const undone = entries.find((e) => e.undoOf === id && e.ok);
+    if (undone) throw new BegetError(`Entry ${id} was already undone by ${undone.id}`, EXIT.USAGE_ERROR);
+    const client = await clientFrom(globalOpts);
+    if (client.login !== entry.login) throw new BegetError(`Entry ${id} was made as ${entry.login}, not ${client.login}; select that account with --profile or --login`, EXIT.USAGE_ERROR);
+    if (!entry.ok) stderr.write(`Warning: ${entry.section}/${entry.method} ${id} failed with an unknown outcome (${entry.error}); it may not have been applied, check the account before undoing\n`);
+    printResult(await executeApi({ globalOpts, cmdOpts, ...inverse, mutate: true, risky: true, riskTitle: `Undo ${entry.section}/${entry.method} ${id}${entry.ok ? '' : ' (outcome unknown)'} with ${inverse.section}/${inverse.method}`, undoOf: id }), outputOptsFrom(globalOpts));
+  });
+
+  program.command('completion <shell>').description('Print a shell completion script (bash, zsh, fish)').action(async (shell, _, cmd) => {
+    printResult(completionScript(shell, cmd.parent.name()).trimEnd());
+  });
+  program.command('__complete', { hidden: true }).argument('[words...]').action(async (words, _, cmd) => {
+    try {
+      const candidates = await completeWords(cmd.parent, words);
+      if (candidates.length) console.log(candidates.join('\n'));
+    } catch {}
+  });
+
+  program.configureOutput({ outputError: (str, write) => write(str) });
+  return program;
+}
+
+const program = createProgram();
 
 (async () => {
   try {
@@ -447,12 +3113,12 @@ program.configureOutput({ outputError: (str, write) => write(str) });
   } catch (err) {
     if (err?.code === 'commander.helpDisplayed') process.exit(EXIT.OK);
     const globalJson = process.argv.includes('--json');
-    if (err instanceof CliError) {
+    if (err instanceof BegetError) {
       printError(err, globalJson);
       process.exit(err.code);
       return;
     }
-    printError(new CliError(err.message || 'Unexpected error', EXIT.GENERIC_ERROR), globalJson);
+    printError(new BegetError(err.message || 'Unexpected error', EXIT.GENERIC_ERROR), globalJson);
     process.exit(EXIT.GENERIC_ERROR);
   }
 })();
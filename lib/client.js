@@ -0,0 +1,101 @@
+import { callBeget, DEFAULT_RETRIES, DEFAULT_RETRY_MAX_DELAY, DEFAULT_RATE_LIMIT } from './transport.js';
+import { DEFAULT_BASE_URL, loadProfile } from './config.js';
+import { BegetAuthError, BegetUsageError } from './errors.js';
+
+// Every `section/method` from the CLI_SPEC map. `read` and `mutate` send
+// parameters as input_data, `query` sends them in the query string; only
+// `mutate` calls are retried on ambiguous failures (with `retryMutations`).
+export const API_METHODS = {
+  user: { getAccountInfo: 'read', toggleSsh: 'mutate' },
+  domain: {
+    getList: 'read',
+    getZoneList: 'read',
+    addVirtual: 'mutate',
+    delete: 'mutate',
+    getSubdomainList: 'read',
+    addSubdomainVirtual: 'mutate',
+    deleteSubdomain: 'mutate',
+    checkDomainToRegister: 'read',
+    getPhpVersion: 'query',
+    changePhpVersion: 'mutate',
+    getDirectives: 'query',
+    addDirectives: 'mutate',
+    removeDirectives: 'mutate',
+  },
+  dns: { getData: 'read', changeRecords: 'mutate' },
+  ftp: { getList: 'read', add: 'mutate', changePassword: 'mutate', delete: 'mutate' },
+  mail: {
+    getMailboxList: 'read',
+    changeMailboxPassword: 'mutate',
+    createMailbox: 'mutate',
+    dropMailbox: 'mutate',
+    changeMailboxSettings: 'mutate',
+    forwardListAddMailbox: 'mutate',
+    forwardListDeleteMailbox: 'mutate',
+    forwardListShow: 'read',
+    setDomainMail: 'mutate',
+    clearDomainMail: 'mutate',
+  },
+  mysql: { getList: 'read', addDb: 'mutate', addAccess: 'mutate', dropDb: 'mutate', dropAccess: 'mutate', changeAccessPassword: 'mutate' },
+  backup: {
+    getFileBackupList: 'read',
+    getMysqlBackupList: 'read',
+    getFileList: 'read',
+    getMysqlList: 'read',
+    restoreFile: 'mutate',
+    restoreMysql: 'mutate',
+    downloadFile: 'mutate',
+    downloadMysql: 'mutate',
+    getLog: 'read',
+  },
+  cron: { getList: 'read', add: 'mutate', edit: 'mutate', delete: 'mutate', changeHiddenState: 'mutate', getEmail: 'read', setEmail: 'mutate' },
+  site: { getList: 'read', add: 'mutate', delete: 'mutate', linkDomain: 'mutate', unlinkDomain: 'mutate', freeze: 'mutate', unfreeze: 'mutate', isSiteFrozen: 'read' },
+  stat: { getSitesListLoad: 'read', getSiteLoad: 'read', getDbListLoad: 'read', getDbLoad: 'read' },
+};
+
+export function isMutatingMethod(section, method) {
+  return API_METHODS[section]?.[method] === 'mutate';
+}
+
+function definedEntries(options) {
+  return Object.fromEntries(Object.entries(options).filter(([, v]) => v !== undefined));
+}
+
+export class BegetClient {
+  #options;
+
+  constructor({ login, apiKey, baseUrl = DEFAULT_BASE_URL, profile = null, timeout = 20000, retries = DEFAULT_RETRIES, retryMaxDelay = DEFAULT_RETRY_MAX_DELAY, rateLimit = DEFAULT_RATE_LIMIT, retryMutations = false, trace = null, cassette = null } = {}) {
+    if (!login || !apiKey) throw new BegetAuthError('BegetClient requires login and apiKey');
+    this.login = login;
+    this.profile = profile;
+    this.#options = { baseUrl, apiKey, timeoutMs: timeout, retries, retryMaxDelay, rateLimit, retryMutations, trace, cassette };
+    for (const [section, methods] of Object.entries(API_METHODS)) {
+      const bound = {};
+      for (const [method, kind] of Object.entries(methods)) {
+        bound[method] = kind === 'query' ? (params) => this.call(section, method, undefined, { query: params }) : (params) => this.call(section, method, params);
+      }
+      this[section] = Object.freeze(bound);
+    }
+  }
+
+  // Resolves credentials and per-profile request defaults exactly like the CLI;
+  // explicit options win over profile settings.
+  static async fromConfig({ config, profile, login, baseUrl, passphrase, ...options } = {}) {
+    const { credentials, settings } = await loadProfile({ config, profile, login, baseUrl, passphrase });
+    const defaults = { retries: settings.retries, retryMaxDelay: settings.retryMaxDelay, rateLimit: settings.rateLimit };
+    return new BegetClient({
+      ...definedEntries(defaults),
+      ...definedEntries(options),
+      login: credentials.login,
+      apiKey: credentials.apiKey,
+      baseUrl: credentials.baseUrl,
+      profile: credentials.selectedProfile ?? null,
+    });
+  }
+
+  async call(section, method, inputData = undefined, { query = undefined, mutate = isMutatingMethod(section, method) } = {}) {
+    if (!section || !method) throw new BegetUsageError('call() requires section and method');
+    const { retryMutations, ...request } = this.#options;
+    return callBeget({ ...request, login: this.login, section, method, inputData, query, retryUnsafe: !mutate || retryMutations });
+  }
+}
@@ -0,0 +1,203 @@
+import fs from 'node:fs/promises';
+import { constants as fsConstants } from 'node:fs';
+import os from 'node:os';
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { BegetAuthError, BegetConfigError } from './errors.js';
+
+export const CONFIG_VERSION = 2;
+export const DEFAULT_SESSION_TTL = 900;
+export const DEFAULT_BASE_URL = 'https://api.beget.com/api';
+const VAULT_CHECK = 'beget-cli-vault';
+const VAULT_SCRYPT = { N: 2 ** 15, r: 8, p: 1 };
+
+export function getConfigPath(explicitPath) {
+  if (explicitPath) return explicitPath;
+  if (process.env.BEGET_CONFIG) return process.env.BEGET_CONFIG;
+  const xdg = process.env.XDG_CONFIG_HOME;
+  if (xdg) return path.join(xdg, 'beget-cli', 'config.json');
+  return path.join(os.homedir(), '.config', 'beget-cli', 'config.json');
+}
+
+export async function ensureParentSecure(filePath) {
+  const dir = path.dirname(filePath);
+  await fs.mkdir(dir, { recursive: true, mode: 0o700 });
+  await fs.chmod(dir, 0o700).catch(() => {});
+}
+
+function migrateConfig(cfg) {
+  cfg.version ??= 1;
+  if (cfg.version > CONFIG_VERSION) throw new BegetConfigError(`Config version ${cfg.version} is newer than this CLI supports (${CONFIG_VERSION})`);
+  if (cfg.version < 2) {
+    cfg.vault ??= null;
+    cfg.version = 2;
+  }
+  return cfg;
+}
+
+export async function readConfig(configPath) {
+  let parsed;
+  try {
+    const raw = await fs.readFile(configPath, 'utf8');
+    parsed = JSON.parse(raw);
+    parsed.profiles ??= {};
+    parsed.activeProfile ??= null;
+  } catch (err) {
+    if (err.code === 'ENOENT') return { version: CONFIG_VERSION, activeProfile: null, profiles: {}, vault: null };
+    throw new BegetConfigError(`Failed to read config: ${err.message}`);
+  }
+  return migrateConfig(parsed);
+}
+
+export async function writeConfig(configPath, cfg) {
+  await ensureParentSecure(configPath);
+  await fs.writeFile(configPath, JSON.stringify(cfg, null, 2) + '\n', { mode: 0o600 });
+  await fs.chmod(configPath, 0o600).catch(() => {});
+}
+
+function deriveVaultKey(passphrase, vault) {
+  return crypto.scryptSync(passphrase, Buffer.from(vault.salt, 'base64'), 32, { N: vault.N, r: vault.r, p: vault.p, maxmem: 256 * vault.N * vault.r });
+}
+
+export function encryptSecret(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+}
+
+export function decryptSecret(key, box, aad) {
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(box.iv, 'base64'));
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(Buffer.from(box.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(box.data, 'base64')), decipher.final()]).toString('utf8');
+  } catch {
+    throw new BegetAuthError('Failed to decrypt vault secret (wrong passphrase or corrupted config)');
+  }
+}
+
+export function createVault(passphrase, sessionTtl = DEFAULT_SESSION_TTL) {
+  const vault = { kdf: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), ...VAULT_SCRYPT, cipher: 'aes-256-gcm', sessionTtl };
+  const key = deriveVaultKey(passphrase, vault);
+  vault.check = encryptSecret(key, VAULT_CHECK, 'vault');
+  return { vault, key };
+}
+
+export function profileAad(name) {
+  return `profile:${name}`;
+}
+
+export function vaultSessionPath(configPath) {
+  const base = process.env.XDG_RUNTIME_DIR ? path.join(process.env.XDG_RUNTIME_DIR, 'beget-cli') : path.join(os.tmpdir(), `beget-cli-${process.getuid?.() ?? os.userInfo().username}`);
+  const id = crypto.createHash('sha256').update(path.resolve(configPath)).digest('hex').slice(0, 16);
+  return path.join(base, `session-${id}.json`);
+}
+
+// The session file holds the raw vault key and may live in a shared tmpdir, so
+// both the directory and the file must be ours, private and not symlinks.
+function isPrivate(st, mode) {
+  const uid = process.getuid?.();
+  return !st.isSymbolicLink() && (uid === undefined || (st.uid === uid && (st.mode & 0o777) === mode));
+}
+
+async function secureSessionDir(dir) {
+  await fs.mkdir(dir, { recursive: true, mode: 0o700 });
+  let st = await fs.lstat(dir);
+  if (st.isDirectory() && st.uid === process.getuid?.() && (st.mode & 0o777) !== 0o700) {
+    await fs.chmod(dir, 0o700);
+    st = await fs.lstat(dir);
+  }
+  if (!st.isDirectory() || !isPrivate(st, 0o700)) {
+    throw new BegetConfigError(`Refusing to use vault session directory ${dir}: it must be a directory owned by the current user with mode 0700`);
+  }
+}
+
+async function readVaultSession(configPath, vault) {
+  const sessionPath = vaultSessionPath(configPath);
+  let session;
+  try {
+    if (!isPrivate(await fs.lstat(path.dirname(sessionPath)), 0o700)) return null;
+    const handle = await fs.open(sessionPath, fsConstants.O_RDONLY | (fsConstants.O_NOFOLLOW ?? 0));
+    try {
+      const st = await handle.stat();
+      if (!st.isFile() || !isPrivate(st, 0o600)) return null;
+      session = JSON.parse(await handle.readFile('utf8'));
+    } finally {
+      await handle.close();
+    }
+  } catch {
+    return null;
+  }
+  if (session.salt !== vault.salt || !(session.expiresAt > Date.now())) {
+    await fs.rm(sessionPath, { force: true });
+    return null;
+  }
+  return Buffer.from(session.key, 'base64');
+}
+
+export async function writeVaultSession(configPath, vault, key, ttlSeconds) {
+  const sessionPath = vaultSessionPath(configPath);
+  const expiresAt = Date.now() + ttlSeconds * 1000;
+  await secureSessionDir(path.dirname(sessionPath));
+  await fs.rm(sessionPath, { force: true });
+  const handle = await fs.open(sessionPath, fsConstants.O_WRONLY | fsConstants.O_CREAT | fsConstants.O_EXCL | (fsConstants.O_NOFOLLOW ?? 0), 0o600);
+  try {
+    await handle.writeFile(JSON.stringify({ salt: vault.salt, key: key.toString('base64'), expiresAt }) + '\n');
+  } finally {
+    await handle.close();
+  }
+  return new Date(expiresAt).toISOString();
+}
+
+// `passphrase` is a string or an (async) function asked only when neither
+// BEGET_VAULT_PASSPHRASE nor an unlocked session is available.
+export async function unlockVaultWithPassphrase(vault, { passphrase } = {}) {
+  let secret = process.env.BEGET_VAULT_PASSPHRASE;
+  if (!secret) {
+    if (!passphrase) throw new BegetAuthError('Credential vault is locked; run `beget auth unlock` or set BEGET_VAULT_PASSPHRASE');
+    secret = typeof passphrase === 'function' ? await passphrase() : passphrase;
+  }
+  const key = deriveVaultKey(secret, vault);
+  try {
+    if (decryptSecret(key, vault.check, 'vault') === VAULT_CHECK) return key;
+  } catch {}
+  throw new BegetAuthError('Wrong vault passphrase');
+}
+
+const vaultKeys = new Map();
+
+export async function getVaultKey(cfg, configPath, { passphrase } = {}) {
+  const cacheKey = `${path.resolve(configPath)}:${cfg.vault.salt}`;
+  if (vaultKeys.has(cacheKey)) return vaultKeys.get(cacheKey);
+  const key = (await readVaultSession(configPath, cfg.vault)) ?? (await unlockVaultWithPassphrase(cfg.vault, { passphrase }));
+  vaultKeys.set(cacheKey, key);
+  return key;
+}
+
+export async function resolveCredentials(options, cfg, configPath) {
+  const selectedProfile = options.profile ?? process.env.BEGET_PROFILE ?? cfg.activeProfile;
+  const profile = selectedProfile ? cfg.profiles[selectedProfile] : null;
+  const login = options.login ?? process.env.BEGET_LOGIN ?? profile?.login;
+  let apiKey = process.env.BEGET_API_PASSWORD ?? process.env.BEGET_API_KEY ?? profile?.apiKey;
+  if (!apiKey && profile?.apiKeyEnc) {
+    if (!cfg.vault) throw new BegetConfigError(`Profile '${selectedProfile}' is encrypted but the config has no vault`);
+    apiKey = decryptSecret(await getVaultKey(cfg, configPath, { passphrase: options.passphrase }), profile.apiKeyEnc, profileAad(selectedProfile));
+  }
+  const baseUrl = options.baseUrl ?? process.env.BEGET_API_BASE_URL ?? DEFAULT_BASE_URL;
+
+  if (!login || !apiKey) {
+    throw new BegetAuthError('Missing Beget credentials. Use `beget auth add/use` or set BEGET_LOGIN + BEGET_API_PASSWORD.');
+  }
+  return { login, apiKey, baseUrl, selectedProfile };
+}
+
+// Same lookup order as the CLI: explicit options, then BEGET_* env, then the selected/active profile.
+export async function loadProfile(options = {}) {
+  const configPath = getConfigPath(options.config);
+  const cfg = await readConfig(configPath);
+  const credentials = await resolveCredentials(options, cfg, configPath);
+  const { apiKey, apiKeyEnc, ...settings } = cfg.profiles[credentials.selectedProfile] ?? {};
+  return { configPath, cfg, credentials, settings };
+}
@@ -0,0 +1,45 @@
+export const EXIT = { OK: 0, GENERIC_ERROR: 1, USAGE_ERROR: 2, AUTH_ERROR: 3, API_ERROR: 4, CONFIG_ERROR: 5, NETWORK_ERROR: 6, TASK_FAILED: 7, WAIT_TIMEOUT: 8 };
+
+// `code` is the CLI exit code for the failure class; API error codes live in `apiCode`.
+export class BegetError extends Error {
+  constructor(message, code = EXIT.GENERIC_ERROR, details = undefined) {
+    super(message);
+    this.name = new.target.name;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class BegetUsageError extends BegetError {
+  constructor(message, details = undefined) {
+    super(message, EXIT.USAGE_ERROR, details);
+  }
+}
+
+export class BegetConfigError extends BegetError {
+  constructor(message, details = undefined) {
+    super(message, EXIT.CONFIG_ERROR, details);
+  }
+}
+
+export class BegetAuthError extends BegetError {
+  constructor(message, { apiCode } = {}) {
+    super(message, EXIT.AUTH_ERROR, apiCode);
+    this.apiCode = apiCode;
+  }
+}
+
+export class BegetApiError extends BegetError {
+  constructor(message, { apiCode, errors = [] } = {}) {
+    super(message, EXIT.API_ERROR, apiCode);
+    this.apiCode = apiCode;
+    this.errors = errors;
+  }
+}
+
+export class BegetNetworkError extends BegetError {
+  constructor(message, { status } = {}) {
+    super(message, EXIT.NETWORK_ERROR);
+    this.status = status;
+  }
+}
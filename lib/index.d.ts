@@ -0,0 +1,280 @@
+export declare const EXIT: {
+  readonly OK: 0;
+  readonly GENERIC_ERROR: 1;
+  readonly USAGE_ERROR: 2;
+  readonly AUTH_ERROR: 3;
+  readonly API_ERROR: 4;
+  readonly CONFIG_ERROR: 5;
+  readonly NETWORK_ERROR: 6;
+  readonly TASK_FAILED: 7;
+  readonly WAIT_TIMEOUT: 8;
+};
+
+export type ExitCode = (typeof EXIT)[keyof typeof EXIT];
+
+/** Base class; `code` is the CLI exit code for this failure class. */
+export declare class BegetError extends Error {
+  constructor(message: string, code?: ExitCode, details?: unknown);
+  code: ExitCode;
+  details?: unknown;
+  /** Number of attempts made when the error came from the transport. */
+  attempts?: number;
+  /** Transport failure kind: `unsent` never reached the API, `unknown` may have been applied. */
+  retry?: 'unsent' | 'unknown';
+}
+
+export declare class BegetUsageError extends BegetError {
+  constructor(message: string, details?: unknown);
+  code: typeof EXIT.USAGE_ERROR;
+}
+
+export declare class BegetConfigError extends BegetError {
+  constructor(message: string, details?: unknown);
+  code: typeof EXIT.CONFIG_ERROR;
+}
+
+export declare class BegetAuthError extends BegetError {
+  constructor(message: string, options?: { apiCode?: string });
+  code: typeof EXIT.AUTH_ERROR;
+  /** `AUTH_ERROR` when rejected by the API, undefined for local credential problems. */
+  apiCode?: string;
+}
+
+export interface BegetMethodError {
+  error_code: string;
+  error_text: string;
+}
+
+export declare class BegetApiError extends BegetError {
+  constructor(message: string, options?: { apiCode?: string; errors?: BegetMethodError[] });
+  code: typeof EXIT.API_ERROR;
+  /** API error code, e.g. `INCORRECT_REQUEST`, `METHOD_FAILED`, `LIMIT_ERROR`. */
+  apiCode?: string;
+  /** Method-level errors from `answer.errors`. */
+  errors: BegetMethodError[];
+}
+
+export declare class BegetNetworkError extends BegetError {
+  constructor(message: string, options?: { status?: number });
+  code: typeof EXIT.NETWORK_ERROR;
+  /** HTTP status, when the server answered. */
+  status?: number;
+}
+
+export type MethodKind = 'read' | 'query' | 'mutate';
+
+export declare const API_METHODS: {
+  readonly [S in keyof BegetSections]: { readonly [M in keyof BegetSections[S]]: MethodKind };
+};
+
+export declare function isMutatingMethod(section: string, method: string): boolean;
+
+export interface TraceSink {
+  /** Also log redacted request/response bodies. */
+  bodies?: boolean;
+  write(line: string): void;
+}
+
+export interface CassetteOptions {
+  recordDir?: string | null;
+  replayDir?: string | null;
+}
+
+export interface RequestOptions {
+  /** Request timeout in ms (default 20000). */
+  timeout?: number;
+  /** Retries on transient errors (default 3). */
+  retries?: number;
+  /** Cap for exponential backoff in ms (default 10000). */
+  retryMaxDelay?: number;
+  /** Max requests per minute, 0 = unlimited (default 60). */
+  rateLimit?: number;
+  /** Retry mutating calls when it is unknown whether the request reached the API. */
+  retryMutations?: boolean;
+  trace?: TraceSink | null;
+  cassette?: CassetteOptions | null;
+}
+
+export interface BegetClientOptions extends RequestOptions {
+  login: string;
+  apiKey: string;
+  /** Default `https://api.beget.com/api`. */
+  baseUrl?: string;
+  profile?: string | null;
+}
+
+export interface ProfileOptions {
+  /** Config path; defaults to BEGET_CONFIG, then XDG_CONFIG_HOME or ~/.config/beget-cli/config.json. */
+  config?: string;
+  /** Profile name; defaults to BEGET_PROFILE, then the active profile. */
+  profile?: string;
+  login?: string;
+  baseUrl?: string;
+  /** Vault passphrase (or a callback) used when BEGET_VAULT_PASSPHRASE and `auth unlock` are absent. */
+  passphrase?: string | (() => string | Promise<string>);
+}
+
+export interface Credentials {
+  login: string;
+  apiKey: string;
+  baseUrl: string;
+  selectedProfile: string | null;
+}
+
+export interface ProfileSettings {
+  login?: string;
+  retries?: number;
+  retryMaxDelay?: number;
+  rateLimit?: number;
+  cacheTtl?: number;
+  [key: string]: unknown;
+}
+
+export interface BegetConfig {
+  version: number;
+  activeProfile: string | null;
+  profiles: Record<string, ProfileSettings & { apiKey?: string; apiKeyEnc?: unknown }>;
+  vault: unknown;
+}
+
+export declare function getConfigPath(explicitPath?: string): string;
+export declare function readConfig(configPath: string): Promise<BegetConfig>;
+export declare function resolveCredentials(options: ProfileOptions, cfg: BegetConfig, configPath: string): Promise<Credentials>;
+export declare function loadProfile(options?: ProfileOptions): Promise<{ configPath: string; cfg: BegetConfig; credentials: Credentials; settings: ProfileSettings }>;
+export declare function redactSecrets<T>(value: T): T;
+
+/** A row of a list result; Beget returns strings and numbers interchangeably. */
+export type BegetRow = Record<string, any>;
+/** Raw `answer.result` of a method. */
+export type BegetResult = any;
+
+type Id = number | string;
+type Flag = 0 | 1;
+
+export interface DnsRecord {
+  priority?: number;
+  value?: string;
+  weight?: number;
+  port?: number;
+}
+
+export interface Directive {
+  name: string;
+  value: string;
+}
+
+export interface CronSchedule {
+  minutes: string;
+  hours: string;
+  days: string;
+  months: string;
+  weekdays: string;
+  command: string;
+}
+
+export interface BegetSections {
+  user: {
+    getAccountInfo(): Promise<BegetResult>;
+    toggleSsh(params: { status: Flag; ftplogin?: string }): Promise<BegetResult>;
+  };
+  domain: {
+    getList(): Promise<BegetRow[]>;
+    getZoneList(): Promise<BegetResult>;
+    addVirtual(params: { hostname: string; zone_id: Id }): Promise<BegetResult>;
+    delete(params: { id: Id }): Promise<BegetResult>;
+    getSubdomainList(): Promise<BegetRow[]>;
+    addSubdomainVirtual(params: { subdomain: string; domain_id: Id }): Promise<BegetResult>;
+    deleteSubdomain(params: { id: Id }): Promise<BegetResult>;
+    checkDomainToRegister(params: { hostname: string; zone_id: Id; period?: number }): Promise<BegetResult>;
+    getPhpVersion(params: { full_fqdn: string }): Promise<BegetResult>;
+    changePhpVersion(params: { full_fqdn: string; php_version: string; is_cgi?: boolean }): Promise<BegetResult>;
+    getDirectives(params: { full_fqdn: string }): Promise<Directive[]>;
+    addDirectives(params: { full_fqdn: string; directives_list: Directive[] }): Promise<BegetResult>;
+    removeDirectives(params: { full_fqdn: string; directives_list: Directive[] }): Promise<BegetResult>;
+  };
+  dns: {
+    getData(params: { fqdn: string }): Promise<BegetResult>;
+    changeRecords(params: { fqdn: string; records: Record<string, DnsRecord[]> }): Promise<BegetResult>;
+  };
+  ftp: {
+    getList(): Promise<BegetRow[]>;
+    add(params: { suffix: string; homedir: string; password: string }): Promise<BegetResult>;
+    changePassword(params: { suffix: string; password: string }): Promise<BegetResult>;
+    delete(params: { suffix: string }): Promise<BegetResult>;
+  };
+  mail: {
+    getMailboxList(params: { domain: string }): Promise<BegetRow[]>;
+    changeMailboxPassword(params: { domain: string; mailbox: string; mailbox_password: string }): Promise<BegetResult>;
+    createMailbox(params: { domain: string; mailbox: string; mailbox_password: string }): Promise<BegetResult>;
+    dropMailbox(params: { domain: string; mailbox: string }): Promise<BegetResult>;
+    changeMailboxSettings(params: { domain: string; mailbox: string; spam_filter_status: Flag; spam_filter: number; forward_mail_status: 'no_forward' | 'forward' | 'forward_and_delete' }): Promise<BegetResult>;
+    forwardListAddMailbox(params: { domain: string; mailbox: string; forward_mailbox: string }): Promise<BegetResult>;
+    forwardListDeleteMailbox(params: { domain: string; mailbox: string; forward_mailbox: string }): Promise<BegetResult>;
+    forwardListShow(params: { domain: string; mailbox: string }): Promise<BegetRow[]>;
+    setDomainMail(params: { domain: string; domain_mailbox: string }): Promise<BegetResult>;
+    clearDomainMail(params: { domain: string }): Promise<BegetResult>;
+  };
+  mysql: {
+    getList(): Promise<BegetRow[]>;
+    addDb(params: { suffix: string; password: string }): Promise<BegetResult>;
+    addAccess(params: { suffix: string; access: string; password: string }): Promise<BegetResult>;
+    dropDb(params: { suffix: string }): Promise<BegetResult>;
+    dropAccess(params: { suffix: string; access: string }): Promise<BegetResult>;
+    changeAccessPassword(params: { suffix: string; access: string; password: string }): Promise<BegetResult>;
+  };
+  backup: {
+    getFileBackupList(): Promise<BegetRow[]>;
+    getMysqlBackupList(): Promise<BegetRow[]>;
+    getFileList(params?: { backup_id?: number; path?: string }): Promise<BegetRow[]>;
+    getMysqlList(params?: { backup_id?: number }): Promise<BegetResult>;
+    restoreFile(params: { backup_id: number; paths: string[] }): Promise<BegetResult>;
+    restoreMysql(params: { backup_id: number; bases: string[] }): Promise<BegetResult>;
+    downloadFile(params: { backup_id?: number; paths: string[] }): Promise<BegetResult>;
+    downloadMysql(params: { backup_id?: number; bases: string[] }): Promise<BegetResult>;
+    getLog(): Promise<BegetRow[]>;
+  };
+  cron: {
+    getList(): Promise<BegetRow[]>;
+    add(params: CronSchedule): Promise<BegetResult>;
+    edit(params: CronSchedule & { row_number: number }): Promise<BegetResult>;
+    delete(params: { row_number: number }): Promise<BegetResult>;
+    changeHiddenState(params: { row_number: number; is_hidden: Flag }): Promise<BegetResult>;
+    getEmail(): Promise<BegetResult>;
+    setEmail(params: { email: string }): Promise<BegetResult>;
+  };
+  site: {
+    getList(): Promise<BegetRow[]>;
+    add(params: { name: string }): Promise<BegetResult>;
+    delete(params: { id: Id }): Promise<BegetResult>;
+    linkDomain(params: { domain_id: Id; site_id: Id }): Promise<BegetResult>;
+    unlinkDomain(params: { domain_id: Id }): Promise<BegetResult>;
+    freeze(params: { id: Id; excludedPaths?: string[] }): Promise<BegetResult>;
+    unfreeze(params: { id: Id }): Promise<BegetResult>;
+    isSiteFrozen(params: { site_id: Id }): Promise<BegetResult>;
+  };
+  stat: {
+    getSitesListLoad(): Promise<BegetResult>;
+    getSiteLoad(params: { site_name: string }): Promise<BegetResult>;
+    getDbListLoad(): Promise<BegetResult>;
+    getDbLoad(params: { db_name: string }): Promise<BegetResult>;
+  };
+}
+
+export interface CallOptions {
+  /** Parameters sent in the query string instead of input_data. */
+  query?: Record<string, string | number | boolean | null | undefined>;
+  /** Defaults to the method's kind in API_METHODS; unknown methods are treated as reads. */
+  mutate?: boolean;
+}
+
+export interface BegetClient extends Readonly<BegetSections> {}
+
+export declare class BegetClient {
+  constructor(options: BegetClientOptions);
+  /** Build a client from the CLI config: same profile, env and vault resolution as `beget`. */
+  static fromConfig(options?: ProfileOptions & RequestOptions): Promise<BegetClient>;
+  readonly login: string;
+  readonly profile: string | null;
+  /** Generic escape hatch for any `section/method`. */
+  call(section: string, method: string, inputData?: unknown, options?: CallOptions): Promise<BegetResult>;
+}
@@ -0,0 +1,4 @@
+export { BegetClient, API_METHODS, isMutatingMethod } from './client.js';
+export { EXIT, BegetError, BegetUsageError, BegetConfigError, BegetAuthError, BegetApiError, BegetNetworkError } from './errors.js';
+export { getConfigPath, readConfig, resolveCredentials, loadProfile } from './config.js';
+export { redactSecrets } from './transport.js';
@@ -0,0 +1,223 @@
+import fs from 'node:fs/promises';
+import fssync from 'node:fs';
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { URLSearchParams } from 'node:url';
+import { BegetError, BegetUsageError, BegetAuthError, BegetApiError, BegetNetworkError } from './errors.js';
+
+export const DEFAULT_RETRIES = 3;
+export const DEFAULT_RETRY_MAX_DELAY = 10000;
+export const DEFAULT_RATE_LIMIT = 60;
+const UNSENT_NETWORK_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'UND_ERR_CONNECT_TIMEOUT']);
+const RATE_LIMIT_ERROR_CODES = new Set(['LIMIT_ERROR', 'TOO_MANY_REQUESTS']);
+
+function transientError(err, retry, retryAfterMs = undefined) {
+  err.retry = retry;
+  err.retryAfterMs = retryAfterMs;
+  return err;
+}
+
+export function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function backoffDelay(attempt, maxDelay, retryAfterMs) {
+  const ceiling = Math.min(maxDelay, 500 * 2 ** (attempt - 1));
+  const jittered = ceiling / 2 + Math.random() * (ceiling / 2);
+  return retryAfterMs ? Math.max(jittered, Math.min(retryAfterMs, maxDelay)) : jittered;
+}
+
+const requestTimes = [];
+
+async function throttleRequests(perMinute) {
+  if (!perMinute) return;
+  while (true) {
+    const now = Date.now();
+    while (requestTimes.length && requestTimes[0] <= now - 60000) requestTimes.shift();
+    if (requestTimes.length < perMinute) {
+      requestTimes.push(now);
+      return;
+    }
+    await sleep(requestTimes[0] + 60000 - now);
+  }
+}
+
+export async function callBeget({ retries = 0, retryMaxDelay = DEFAULT_RETRY_MAX_DELAY, retryUnsafe = false, rateLimit = 0, ...request }) {
+  let maybeSent = false;
+  for (let attempt = 1; ; attempt += 1) {
+    await throttleRequests(rateLimit);
+    try {
+      return await requestBeget({ ...request, attempt });
+    } catch (err) {
+      err.attempts = attempt;
+      maybeSent ||= err.retry === 'unknown';
+      const canRetry = err.retry === 'unsent' || (err.retry === 'unknown' && retryUnsafe);
+      if (!canRetry || attempt > retries) {
+        // An earlier attempt may have been applied even if the last one never reached the API.
+        if (maybeSent) err.retry = 'unknown';
+        throw err;
+      }
+      await sleep(backoffDelay(attempt, retryMaxDelay, err.retryAfterMs));
+    }
+  }
+}
+
+const SECRET_KEY_PATTERN = /pass(wd|word)?$|password|secret|token|api_?key/i;
+
+export function redactSecrets(value) {
+  if (Array.isArray(value)) return value.map(redactSecrets);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, SECRET_KEY_PATTERN.test(k) && v !== null && v !== undefined && v !== '' ? '***' : redactSecrets(v)]));
+}
+
+function traceRequestBody(params) {
+  const body = Object.fromEntries(params);
+  if (body.input_data !== undefined) {
+    try {
+      body.input_data = JSON.parse(body.input_data);
+    } catch {}
+  }
+  return JSON.stringify(redactSecrets(body));
+}
+
+function traceResponseBody(text) {
+  try {
+    return JSON.stringify(redactSecrets(JSON.parse(text)));
+  } catch {
+    return text.length > 2000 ? `${text.slice(0, 2000)}…` : text;
+  }
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') return `{${Object.keys(value).sort().filter((k) => value[k] !== undefined).map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  return JSON.stringify(value ?? null);
+}
+
+function cassetteRequest(section, method, inputData, query) {
+  const cleanQuery = Object.fromEntries(Object.entries(query ?? {}).filter(([, v]) => v !== undefined && v !== null).map(([k, v]) => [k, String(v)]));
+  return { section, method, inputData: redactSecrets(inputData ?? null), query: cleanQuery };
+}
+
+function cassetteKey(request) {
+  return `${request.section}/${request.method} ${stableStringify({ inputData: request.inputData, query: request.query })}`;
+}
+
+const replayState = { dir: null, cassettes: null, served: new Map() };
+
+function loadReplayCassettes(dir) {
+  if (replayState.dir === dir) return replayState.cassettes;
+  let files;
+  try {
+    files = fssync.readdirSync(dir).filter((f) => f.endsWith('.json')).sort();
+  } catch (err) {
+    throw new BegetUsageError(`Failed to read replay directory: ${err.message}`);
+  }
+  const cassettes = new Map();
+  for (const file of files) {
+    let cassette;
+    try {
+      cassette = JSON.parse(fssync.readFileSync(path.join(dir, file), 'utf8'));
+    } catch (err) {
+      throw new BegetUsageError(`Invalid cassette ${file}: ${err.message}`);
+    }
+    const { section, method, inputData, query } = cassette.request ?? {};
+    if (!section || !method || !Array.isArray(cassette.responses) || !cassette.responses.length) throw new BegetUsageError(`Invalid cassette ${file}: expected request.section/method and a non-empty responses list`);
+    cassettes.set(cassetteKey(cassetteRequest(section, method, inputData, query)), { file, responses: cassette.responses });
+  }
+  replayState.dir = dir;
+  replayState.cassettes = cassettes;
+  return cassettes;
+}
+
+function replayResponse(dir, request) {
+  const key = cassetteKey(request);
+  const cassette = loadReplayCassettes(dir).get(key);
+  if (!cassette) throw new BegetError(`Replay: no cassette in ${dir} matches ${key}`);
+  const index = replayState.served.get(key) ?? 0;
+  replayState.served.set(key, index + 1);
+  const recorded = cassette.responses[Math.min(index, cassette.responses.length - 1)];
+  const body = typeof recorded.body === 'string' ? recorded.body : JSON.stringify(recorded.body);
+  return new Response(body, { status: recorded.status ?? 200, statusText: recorded.statusText ?? '', headers: recorded.headers ?? {} });
+}
+
+async function recordResponse(dir, request, res, text) {
+  const file = path.join(dir, `${request.section}.${request.method}.${crypto.createHash('sha256').update(cassetteKey(request)).digest('hex').slice(0, 12)}.json`);
+  let body;
+  try {
+    body = redactSecrets(JSON.parse(text));
+  } catch {
+    body = text;
+  }
+  let cassette = { request, responses: [] };
+  try {
+    cassette = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch {}
+  const headers = res.headers.get('retry-after') ? { 'retry-after': res.headers.get('retry-after') } : undefined;
+  cassette.responses.push({ status: res.status, statusText: res.statusText, headers, body });
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(file, JSON.stringify(cassette, null, 2) + '\n', { mode: 0o600 });
+}
+
+async function requestBeget({ baseUrl, login, apiKey, section, method, inputData, query = {}, timeoutMs = 20000, trace = null, attempt = 1, cassette = null }) {
+  const params = new URLSearchParams({ login, passwd: apiKey, output_format: 'json' });
+  for (const [k, v] of Object.entries(query)) if (v !== undefined && v !== null) params.set(k, String(v));
+  if (inputData !== undefined) {
+    params.set('input_format', 'json');
+    params.set('input_data', JSON.stringify(inputData));
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const url = `${baseUrl.replace(/\/$/, '')}/${section}/${method}`;
+  const label = `${section}/${method}${attempt > 1 ? ` (attempt ${attempt})` : ''}`;
+  const started = Date.now();
+  if (trace?.bodies) trace.write(`[beget] > POST ${url}${attempt > 1 ? ` (attempt ${attempt})` : ''}\n[beget] > ${traceRequestBody(params)}`);
+
+  const request = cassette && cassetteRequest(section, method, inputData, query);
+  let res;
+  let text;
+  try {
+    res = cassette?.replayDir ? replayResponse(cassette.replayDir, request) : await fetch(url, { method: 'POST', body: params, signal: controller.signal });
+    text = await res.text();
+  } catch (err) {
+    if (err instanceof BegetError) throw err;
+    trace?.write(`[beget] POST ${label} failed after ${Date.now() - started}ms: ${err.cause?.message ?? err.message}`);
+    if (err.name === 'AbortError') throw transientError(new BegetNetworkError(`Network timeout after ${timeoutMs}ms`), 'unknown');
+    const cause = err.cause?.code ?? err.code;
+    throw transientError(new BegetNetworkError(`Network error: ${err.cause?.message ?? err.message}`), UNSENT_NETWORK_CODES.has(cause) ? 'unsent' : 'unknown');
+  } finally {
+    clearTimeout(timer);
+  }
+  if (cassette?.recordDir) await recordResponse(cassette.recordDir, request, res, text);
+  trace?.write(`[beget] POST ${label} -> HTTP ${res.status} in ${Date.now() - started}ms`);
+  if (trace?.bodies) trace.write(`[beget] < ${traceResponseBody(text)}`);
+
+  if (res.status === 429) {
+    const retryAfter = Number(res.headers.get('retry-after'));
+    throw transientError(new BegetNetworkError(`HTTP ${res.status} ${res.statusText}`, { status: res.status }), 'unsent', Number.isFinite(retryAfter) ? retryAfter * 1000 : undefined);
+  }
+  if (res.status >= 500) throw transientError(new BegetNetworkError(`HTTP ${res.status} ${res.statusText}`, { status: res.status }), 'unknown');
+  if (!res.ok) throw new BegetNetworkError(`HTTP ${res.status} ${res.statusText}`, { status: res.status });
+
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch {
+    throw new BegetApiError('API returned non-JSON response');
+  }
+
+  if (payload.status !== 'success') {
+    const apiCode = payload.error_code;
+    if (RATE_LIMIT_ERROR_CODES.has(apiCode)) throw transientError(new BegetApiError(`Beget API error: ${payload.error_text ?? 'request limit exceeded'}`, { apiCode }), 'unsent');
+    if (apiCode === 'AUTH_ERROR') throw new BegetAuthError(`Beget API error: ${payload.error_text ?? 'unknown error'}`, { apiCode });
+    throw new BegetApiError(`Beget API error: ${payload.error_text ?? 'unknown error'}`, { apiCode });
+  }
+
+  const answer = payload.answer;
+  if (!answer || answer.status !== 'success') {
+    const firstErr = answer?.errors?.[0];
+    throw new BegetApiError(`Method failed: ${firstErr?.error_text ?? 'unknown method error'}`, { apiCode: firstErr?.error_code, errors: answer?.errors ?? [] });
+  }
+  return answer.result;
+}
@@ -1,10 +1,11 @@
 #!/usr/bin/env node
-import { mkdtempSync, rmSync, existsSync } from 'node:fs';
+import { mkdtempSync, mkdirSync, rmSync, existsSync, writeFileSync, readFileSync, readdirSync, statSync, lstatSync, chmodSync, symlinkSync } from 'node:fs';
 import { tmpdir } from 'node:os';
 import path from 'node:path';
 import { spawnSync } from 'node:child_process';
 
 const cli = path.resolve('./bin/beget.js');
+const cassettes = path.resolve('./scripts/cassettes');
 const tempRoot = mkdtempSync(path.join(tmpdir(), 'beget-cli-check-'));
 const cfg = path.join(tempRoot, 'config.json');
 
@@ -34,6 +35,20 @@ try {
   const list = JSON.parse(r.stdout || '{}');
   assert(Array.isArray(list.profiles), 'profiles array expected');
 
+  r = run(['auth', 'list', '--output', 'csv', '--fields', 'name,login']);
+  assert(r.status === 0 && r.stdout.trim() === 'name,login\nmain,demo', 'auth list csv output expected');
+
+  r = run(['auth', 'list', '--output', 'tsv', '--no-headers', '--query', 'name=missing']);
+  assert(r.status === 0 && r.stdout === '', 'filtered tsv without headers should be empty');
+
+  r = run(['auth', 'list', '--output', 'xml']);
+  assert(r.status === 2, 'unknown --output should exit 2');
+
+  r = run(['--base-url', 'http://127.0.0.1:9', '-o', 'xml', 'sites', 'add', '--name', 'newsite']);
+  assert(r.status === 2 && r.stderr.includes('--output must be one of'), 'unknown --output should fail before a mutating call is sent');
+  r = run(['--base-url', 'http://127.0.0.1:9', '--query', 'bad', 'sites', 'add', '--name', 'newsite']);
+  assert(r.status === 2 && r.stderr.includes('Invalid --query'), 'invalid --query should fail before a mutating call is sent');
+
   const dryRuns = [
     ['domains', 'add-virtual', '--hostname', 'example', '--zone-id', '1', '--dry-run', '--json'],
     ['dns', 'change-records', '--fqdn', 'example.com', '--records-json', '{"A":[{"priority":10,"value":"127.0.0.1"}]}', '--dry-run', '--json'],
@@ -56,12 +71,360 @@ try {
     assert(r.status === 0, `dry-run should succeed: ${args.join(' ')}`);
   }
 
+  r = run(['cron', 'add', '--minutes', '*/0', '--hours', '*', '--days', '*', '--months', '*', '--weekdays', '*', '--command', 'echo 1', '--dry-run']);
+  assert(r.status === 2, 'invalid cron step should exit 2');
+
+  r = run(['dns', 'record', 'add', 'example.com', '--type', 'BOGUS', '--value', 'x', '--dry-run']);
+  assert(r.status === 2, 'dns record add with unknown --type should exit 2');
+
+  r = run(['dns', 'record', 'add', 'example.com', '--type', 'A', '--value', 'not-an-ip', '--dry-run']);
+  assert(r.status === 2, 'dns record add with invalid A value should exit 2');
+
+  const zone = path.join(tempRoot, 'example.zone');
+  writeFileSync(zone, '$ORIGIN example.com.\n@ IN A 127.0.0.1\n@ IN CAA 0 issue "letsencrypt.org"\n');
+  r = run(['dns', 'import', 'example.com', zone, '--strict', '--dry-run']);
+  assert(r.status === 2 && r.stderr.includes('CAA'), 'dns import --strict should reject unsupported records');
+
+  r = run(['dns', 'export', 'example.com', '--format', 'tinydns']);
+  assert(r.status === 2, 'dns export with unknown --format should exit 2');
+
+  const manifest = path.join(tempRoot, 'manifest.yaml');
+  writeFileSync(manifest, 'sites:\n  - name: mysite\nservers: []\n');
+  r = run(['plan', manifest]);
+  assert(r.status === 2 && r.stderr.includes('servers'), 'plan should reject unknown manifest sections');
+
+  writeFileSync(manifest, 'cron:\n  - schedule: "* * *"\n    command: echo 1\n');
+  r = run(['apply', manifest, '--dry-run']);
+  assert(r.status === 2, 'apply should reject malformed cron schedule');
+
+  const account = ['--replay', path.join(cassettes, 'account')];
+  r = run([...account, 'domains', 'list']);
+  assert(r.status === 0 && /^ID\s+FQDN/.test(r.stdout) && r.stdout.includes('example.org'), 'replayed domains list should print a table');
+
+  r = run([...account, 'account', 'info', '--json']);
+  assert(r.status === 0 && JSON.parse(r.stdout).plan_name === 'Blog', 'replayed account info should print the result');
+
+  r = run([...account, 'dns', 'record', 'add', 'example.com', '--type', 'A', '--value', '127.0.0.2']);
+  assert(r.status === 0 && r.stdout.includes('+ A\t127.0.0.2'), 'replayed dns record add should merge and send records');
+
+  const audit = readFileSync(path.join(tempRoot, 'audit.jsonl'), 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+  const dnsEntry = audit.find((e) => e.method === 'changeRecords');
+  assert(dnsEntry?.ok && dnsEntry.profile === 'main' && dnsEntry.before?.A?.[0]?.address === '127.0.0.1', 'mutations should be logged with a pre-change capture');
+  r = run(['history', '--method', 'dns/*', '--json']);
+  assert(r.status === 0 && JSON.parse(r.stdout).some((e) => e.id === dnsEntry.id && e.undo === 'yes'), 'history should list undoable entries');
+  r = run(['undo', dnsEntry.id]);
+  assert(r.status === 2, 'undo should require --yes in non-interactive mode');
+  r = run([...account, 'undo', dnsEntry.id, '--yes', '--json']);
+  assert(r.status === 0, 'undo should replay the previous DNS records');
+  r = run([...account, 'undo', dnsEntry.id, '--yes']);
+  assert(r.status === 2 && r.stderr.includes('already undone'), 'an entry should only be undone once');
+
+  const auditEnv = { BEGET_CONFIG: path.join(tempRoot, 'audit', 'config.json'), BEGET_LOGIN: 'u', BEGET_API_PASSWORD: 'p' };
+  r = run(['--replay', path.join(cassettes, 'audit'), 'cron', 'delete', '--row-number', '1', '--yes'], auditEnv);
+  const cronAudit = readFileSync(path.join(tempRoot, 'audit', 'audit.jsonl'), 'utf8');
+  assert(r.status === 0 && cronAudit.includes('-p***') && !cronAudit.includes('S3cretPw'), 'credentials in captured cron commands should be redacted');
+  r = run(['undo', JSON.parse(cronAudit).id, '--yes'], auditEnv);
+  assert(r.status === 2 && r.stderr.includes('redacted'), 'undo should refuse entries whose capture was redacted');
+
+  const cronEdit = ['--replay', path.join(cassettes, 'audit'), 'cron', 'edit', '--row-number', '2', '--minutes', '*/10', '--hours', '*', '--days', '*', '--months', '*', '--weekdays', '*', '--command', 'php ~/site/cron.php'];
+  r = run(cronEdit, auditEnv);
+  const unknownEntry = readFileSync(path.join(tempRoot, 'audit', 'audit.jsonl'), 'utf8').trim().split('\n').map((line) => JSON.parse(line)).pop();
+  assert(r.status === 6 && unknownEntry.transient === 'unknown', 'a 5xx after sending should be logged with an unknown outcome');
+  r = run(['--replay', path.join(cassettes, 'audit'), 'undo', unknownEntry.id, '--yes'], auditEnv);
+  assert(r.status === 0 && r.stderr.includes('unknown outcome'), 'undo should be allowed, with a warning, when the outcome is unknown');
+
+  const auditReplay = ['--replay', path.join(cassettes, 'audit')];
+  const lastAuditEntry = () => readFileSync(path.join(tempRoot, 'audit', 'audit.jsonl'), 'utf8').trim().split('\n').map((line) => JSON.parse(line)).pop();
+  run([...auditReplay, 'sites', 'link-domain', '--domain-id', '11', '--site-id', '31'], auditEnv);
+  r = run(['undo', lastAuditEntry().id, '--dry-run', '--json'], auditEnv);
+  assert(r.status === 0 && JSON.parse(r.stdout).method === 'linkDomain' && JSON.parse(r.stdout).inputData.site_id === 21, 'undoing a domain link should restore the previous site link');
+  run([...auditReplay, 'sites', 'freeze', '--id', '21'], auditEnv);
+  r = run(['undo', lastAuditEntry().id, '--dry-run'], auditEnv);
+  assert(r.status === 2 && r.stderr.includes('changed nothing'), 'undoing a freeze of an already frozen site should be refused');
+  r = run([...auditReplay, 'sites', 'unfreeze', '--id', '31'], auditEnv);
+  assert(r.status === 0 && r.stderr.includes('Warning: could not read the state') && lastAuditEntry().captureError, 'a failed pre-change read should be recorded and reported');
+  r = run(['undo', lastAuditEntry().id, '--dry-run'], auditEnv);
+  assert(r.status === 2 && r.stderr.includes('no pre-change capture: Replay'), 'undo should explain why the pre-change capture is missing');
+
+  r = run([...account, 'cron', 'export']);
+  assert(r.status === 0 && r.stdout.includes('\n*/5 * * * * php ~/site/cron.php\n#beget:hidden 0 3 * * * ~/backup.sh\n'), 'cron export should print crontab with hidden marker');
+
+  const crontab = path.join(tempRoot, 'crontab');
+  writeFileSync(crontab, '*/10 * * * * php ~/site/cron.php\n@daily ~/report.sh\n');
+  r = run([...account, 'cron', 'import', crontab, '--dry-run', '--json']);
+  const cronPlan = JSON.parse(r.stdout || '{}');
+  assert(r.status === 0 && cronPlan.summary?.create === 1 && cronPlan.summary?.update === 1 && cronPlan.summary?.delete === 1, 'cron import --dry-run should plan add/edit/delete');
+
+  writeFileSync(crontab, '*/10 25 * * * echo bad\n');
+  r = run(['cron', 'import', crontab, '--dry-run']);
+  assert(r.status === 2 && r.stderr.includes('line 1'), 'invalid crontab should fail locally with exit 2');
+
+  r = run([...account, 'ftp', 'list']);
+  assert(r.status === 1 && r.stderr.includes('no cassette'), 'unmatched replay request should fail clearly');
+
+  const errors = ['--replay', path.join(cassettes, 'errors')];
+  r = run([...errors, 'account', 'info']);
+  assert(r.status === 3 && r.stderr.includes('Incorrect login or password'), 'AUTH_ERROR should exit 3');
+
+  r = run([...errors, 'domains', 'list']);
+  assert(r.status === 4 && r.stderr.includes('Beget API error'), 'API-level error should exit 4');
+
+  r = run([...errors, 'ftp', 'list', '--json']);
+  assert(r.status === 4 && JSON.parse(r.stderr).details === 'METHOD_FAILED', 'method-level answer.errors should exit 4');
+
+  r = run([...errors, 'sites', 'list', '--retries', '1', '--retry-max-delay', '5', '--json']);
+  assert(r.status === 6 && JSON.parse(r.stderr).attempts === 2, 'HTTP 5xx should be retried and exit 6');
+
+  const recorded = path.join(tempRoot, 'recorded');
+  r = run([...account, '--record', recorded, 'mail', 'mailbox-create', '--domain', 'example.com', '--mailbox', 'info', '--no-input'], { BEGET_MAILBOX_PASSWORD: 'mailbox-secret' });
+  assert(r.status === 0, 'replayed mailbox-create should match regardless of the password');
+  r = run([...account, '--record', recorded, 'domains', 'list', '--json']);
+  assert(r.status === 0 && readdirSync(recorded).length === 2, 'record should write one cassette file per request');
+  for (const file of readdirSync(recorded)) {
+    assert(!readFileSync(path.join(recorded, file), 'utf8').includes('secret'), 'cassettes must not contain secrets');
+  }
+  r = run(['--replay', recorded, 'domains', 'list', '--json']);
+  assert(r.status === 0 && JSON.parse(r.stdout).length === 2, 'recorded cassette should replay');
+
+  const mailCsv = path.join(tempRoot, 'mail.csv');
+  const mailCredentials = path.join(tempRoot, 'mail-credentials.csv');
+  writeFileSync(mailCsv, 'mailbox,password,forwards\ninfo,,\nadmin@example.com,,boss@example.org\n');
+  r = run([...account, 'mail', 'import', mailCsv, '--domain', 'example.com']);
+  assert(r.status === 2 && r.stderr.includes('--credentials-out'), 'mail import should not generate passwords without --credentials-out');
+  r = run([...account, 'mail', 'import', mailCsv, '--domain', 'example.com', '--credentials-out', mailCredentials, '--json']);
+  const mailImport = JSON.parse(r.stdout);
+  assert(r.status === 0 && mailImport.actions.length === 1 && mailImport.skipped[0] === 'admin@example.com', 'mail import should create new and skip existing mailboxes');
+  const generatedPassword = readFileSync(mailCredentials, 'utf8').match(/^info@example\.com,(\S+)$/m)?.[1];
+  assert(generatedPassword?.length >= 16 && !r.stdout.includes(generatedPassword), 'generated mailbox passwords should only go to the credentials file');
+  assert(process.platform === 'win32' || (statSync(mailCredentials).mode & 0o777) === 0o600, 'credentials file should be 0600');
+  r = run([...account, 'mail', 'export', '--domain', 'example.com']);
+  assert(r.status === 0 && r.stdout.includes('admin,,1,50,forward,boss@example.org'), 'mail export should print import-compatible CSV');
+
+  const rotate = ['--replay', path.join(cassettes, 'rotate'), 'rotate', '--ftp', '--mysql', '--mail', '--mail-domain', 'example.com'];
+  const rotatedFile = path.join(tempRoot, 'rotated.env');
+  r = run([...rotate, '--out', rotatedFile]);
+  assert(r.status === 2 && !existsSync(rotatedFile), 'rotate should need --yes before generating passwords');
+  r = run([...rotate, '--match', '*@*', '--dry-run', '--json']);
+  assert(r.status === 0 && JSON.parse(r.stdout).actions.map((a) => a.name).join() === 'u1_wp@localhost,info@example.com', 'rotate --match should filter targets');
+  r = run([...rotate, '--out', rotatedFile, '--yes']);
+  const rotated = readFileSync(rotatedFile, 'utf8');
+  assert(r.status === 1 && r.stderr.includes('u1_old') && r.stdout.includes('Rotated 3 of 5'), 'rotate should report partial failures');
+  assert(/^BEGET_MAIL_INFO_EXAMPLE_COM='\S{20}'$/m.test(rotated) && !rotated.includes('U1_OLD') && !r.stdout.includes(rotated.split("'")[1]), 'rotated secrets should only be written to the file');
+  assert(/^# possibly applied.*\nBEGET_FTP_U1_STALE='\S{20}'$/m.test(rotated) && r.stderr.includes('u1_stale (possibly applied)'), 'a rotation with an unknown outcome should keep its password marked as possibly applied');
+  const hookOut = path.join(tempRoot, 'rotate-hook.out');
+  r = run([...rotate, '--exec', `cat >> '${hookOut}'; echo >> '${hookOut}'`, '--yes']);
+  const hookCalls = readFileSync(hookOut, 'utf8').trim().split('\n\n').map((chunk) => JSON.parse(chunk).secrets.map((x) => `${x.name}${x.possiblyApplied ? '?' : ''}`).join());
+  assert(hookCalls.length === 2 && hookCalls[1] === 'u1_dev,u1_stale?,u1_wp@localhost,info@example.com', 'rotate --exec should be called again with only the applied passwords after a partial failure');
+
+  const batchFile = path.join(tempRoot, 'batch.ndjson');
+  writeFileSync(batchFile, [
+    JSON.stringify({ command: 'account info' }),
+    JSON.stringify({ command: 'dns record add example.com', options: { type: 'A', value: '127.0.0.2' } }),
+    JSON.stringify({ method: 'domain/getList' }),
+    JSON.stringify({ method: 'nosuch/getList', mutate: false }),
+    JSON.stringify({ command: 'domains list' }),
+  ].join('\n'));
+  r = run([...account, 'batch', batchFile]);
+  assert(r.status === 2 && r.stderr.includes('#2 dns record add example.com') && !r.stdout, 'batch with risky operations should need one up-front --yes');
+  r = run([...account, 'batch', batchFile, '--dry-run']);
+  const batchLines = r.stdout.trim().split('\n').map((line) => JSON.parse(line));
+  assert(r.status === 1 && batchLines[1].result.dryRun && batchLines[2].result.length === 2, 'batch should run command and method operations');
+  assert(batchLines[3].ok === false && batchLines[4].skipped && batchLines[5].summary.skipped === 1, 'batch should stop after the first failure (a method with no cassette) by default');
+  const methodsFile = path.join(tempRoot, 'methods.ndjson');
+  writeFileSync(methodsFile, JSON.stringify({ method: 'mail/forwardListShow', inputData: { domain: 'example.com', mailbox: 'admin' } }));
+  r = run([...account, 'batch', methodsFile, '--dry-run']);
+  assert(r.status === 0 && Array.isArray(JSON.parse(r.stdout.split('\n')[0]).result), 'batch should classify raw methods by the API map, not by their name prefix');
+  writeFileSync(methodsFile, JSON.stringify({ method: 'nosuch/getList' }));
+  r = run([...account, 'batch', methodsFile]);
+  assert(r.status === 2 && r.stderr.includes('nosuch/getList'), 'batch should treat methods missing from the API map as risky');
+  r = run([...account, 'batch', batchFile, '--dry-run', '--continue-on-error', '--concurrency', '2']);
+  assert(r.status === 1 && JSON.parse(r.stdout.trim().split('\n').pop()).summary.ok === 4, 'batch --continue-on-error should run every operation');
+
+  writeFileSync(batchFile, `${JSON.stringify({ command: 'mysql access-add', options: { suffix: 'app', access: 'localhost' } })}\n`);
+  r = run([...account, 'batch', batchFile, '--yes'], { BEGET_MYSQL_PASSWORD: '' });
+  assert(r.status === 2 && JSON.parse(r.stdout.split('\n')[0]).error.includes('--no-input'), 'batch operations should never prompt for secrets');
+
+  const backupDir = path.join(cassettes, 'backup');
+  r = run(['--replay', backupDir, 'backup', 'download-file', '--paths', 'site/public_html', '--wait', '--poll-interval', '0s', '--json']);
+  assert(r.status === 0 && JSON.parse(r.stdout).archive === '~/backup-2.tar.gz', 'download --wait should poll the log and report the archive');
+
+  r = run(['--replay', path.join(cassettes, 'backup-failed'), 'backup', 'wait', '--poll-interval', '0s']);
+  assert(r.status === 7 && r.stderr.includes('task 5'), 'failed backup task should exit 7');
+
+  r = run(['--replay', path.join(cassettes, 'backup-failed'), 'backup', 'wait', '--id', '5', '--wait-timeout', '0']);
+  assert(r.status === 8, 'backup wait should exit 8 on --wait-timeout');
+
+  const statsReplay = ['--replay', path.join(cassettes, 'stats')];
+  r = run([...statsReplay, 'stats', 'watch', '--interval', '0s', '--count', '2', '--json', '--sites-only']);
+  const statChanges = r.stdout.trim().split('\n').map((line) => JSON.parse(line));
+  assert(r.status === 0 && statChanges.length === 5 && statChanges[3].from === 12.5 && statChanges[3].to === 85, 'stats watch should print only changed values after the first poll');
+  r = run([...statsReplay, 'stats', 'check', '--site-cpu-max', '50', '--db-load-warn', '4']);
+  assert(r.status === 1 && r.stdout.startsWith('STATS WARNING - db u1_wp load 4.2 > 4;'), 'stats check should return Nagios WARNING');
+  r = run([...statsReplay, 'stats', 'check', '--db-load-max', '4']);
+  assert(r.status === 2 && r.stdout.startsWith('STATS CRITICAL'), 'stats check should return Nagios CRITICAL');
+  r = run(['--replay', path.join(cassettes, 'errors'), 'stats', 'check', '--site-cpu-max', '50']);
+  assert(r.status === 3 && r.stdout.startsWith('STATS UNKNOWN'), 'stats check should return Nagios UNKNOWN when load cannot be read');
+  r = run(['--replay', path.join(cassettes, 'stats-flaky'), '--retries', '0', 'stats', 'watch', '--interval', '0s', '--count', '3', '--json', '--sites-only']);
+  assert(r.status === 0 && r.stderr.includes('502') && r.stdout.trim().split('\n').map((line) => JSON.parse(line).to).join() === '12.5,85', 'stats watch should report a failed poll and keep polling');
+  const statsBatch = path.join(tempRoot, 'stats-batch.ndjson');
+  writeFileSync(statsBatch, [JSON.stringify({ command: 'stats check', options: { dbLoadWarn: 4 } }), JSON.stringify({ command: 'stats watch', options: { interval: '0s', count: 2, sitesOnly: true } })].join('\n'));
+  r = run([...statsReplay, 'batch', statsBatch]);
+  const statsLines = r.stdout.trim().split('\n').map((line) => JSON.parse(line));
+  assert(r.status === 0 && statsLines.length === 3 && statsLines[0].result.state === 'WARNING' && statsLines[1].result.length === 5, 'stats check/watch in a batch should return their results instead of printing');
+  writeFileSync(statsBatch, JSON.stringify({ command: 'stats watch' }));
+  r = run([...statsReplay, 'batch', statsBatch]);
+  assert(r.status === 2 && r.stderr.includes('--count'), 'stats watch in a batch should need --count');
+  const promFile = path.join(tempRoot, 'beget.prom');
+  r = run([...statsReplay, 'stats', 'export', '--format', 'prometheus', '--out', promFile]);
+  assert(r.status === 0 && readFileSync(promFile, 'utf8').includes('beget_db_load{db="u1_wp",metric="load"} 4.2'), 'stats export should write textfile collector metrics');
+
+  r = run(['completion', 'bash']);
+  assert(r.status === 0 && r.stdout.includes('beget __complete --'), 'completion bash should print a script');
+  r = run(['completion', 'tcsh']);
+  assert(r.status === 2, 'unsupported completion shell should exit 2');
+  r = run(['__complete', '--', 'mail', 'mailbox-settings-change', '--forward']);
+  assert(r.status === 0 && r.stdout.trim() === '--forward-mail-status', 'completion should offer matching options');
+  r = run(['__complete', '--', 'auth', 'use', '']);
+  assert(r.stdout.split('\n').includes('main'), 'completion should offer profile names');
+  r = run([...account, 'domains', 'list']);
+  r = run(['__complete', '--', 'dns', 'export', 'example.']);
+  assert(r.status === 0 && r.stdout.trim() === 'example.com\nexample.org', 'completion should offer cached domain names');
+
+  r = run([...account, 'domains', 'add-virtual', '--hostname', 'shop', '--zone-id', 'ru', '--dry-run', '--json']);
+  const resolvedZone = JSON.parse(r.stdout);
+  assert(r.status === 0 && resolvedZone.inputData.zone_id === 1 && resolvedZone.resolved[0].name === 'ru', 'zone names should resolve to ids in dry-run output');
+  r = run([...account, 'sites', 'link-domain', '--domain-id', 'blog.example.com', '--site-id', 'shop', '--dry-run', '--json']);
+  assert(r.status === 0 && JSON.parse(r.stdout).inputData.domain_id === 21 && JSON.parse(r.stdout).inputData.site_id === 9, 'domain and site names should resolve to ids');
+  r = run([...account, 'sites', 'freeze', '--id', 'mysite', '--dry-run']);
+  assert(r.status === 2 && r.stderr.includes('ambiguous (ids 7, 8)'), 'ambiguous site names should be usage errors');
+  r = run([...account, 'domains', 'delete', '--id', 'missing.example', '--dry-run']);
+  assert(r.status === 2 && r.stderr.includes("unknown domain 'missing.example'"), 'unknown domain names should be usage errors');
+
   r = run(['stats', '--help']);
   assert(r.status === 0, 'stats help should succeed');
 
   r = run(['account', 'info']);
   assert(r.status !== 0, 'account info without valid creds/network should fail in smoke');
 
+  r = run(['account', 'info', '--base-url', 'http://127.0.0.1:9', '--retry-max-delay', '10', '--json']);
+  assert(r.status === 6 && JSON.parse(r.stderr).attempts === 4, 'transient errors should be retried 3 times by default');
+
+  r = run(['account', 'info', '--base-url', 'http://127.0.0.1:9', '--retries', '2', '--retry-max-delay', '10', '--json']);
+  assert(r.status === 6 && JSON.parse(r.stderr).attempts === 3, 'unreachable API should be retried and report attempts');
+
+  r = run(['account', 'info', '--base-url', 'http://127.0.0.1:9', '--retries', '0', '--trace']);
+  assert(r.stderr.includes('"passwd":"***"') && !r.stderr.includes('secret'), 'trace should redact the API password');
+
+  r = run(['account', 'info', '--retries', 'many']);
+  assert(r.status === 2, 'invalid --retries should exit 2');
+
+  const vaultEnv = { BEGET_CONFIG: path.join(tempRoot, 'vault.json'), XDG_RUNTIME_DIR: path.join(tempRoot, 'run'), BEGET_VAULT_PASSPHRASE: 'correct horse' };
+  writeFileSync(vaultEnv.BEGET_CONFIG, JSON.stringify({ version: 1, activeProfile: 'main', profiles: { main: { login: 'demo', apiKey: 'secret' } } }));
+  r = run(['auth', 'migrate', '--json'], { ...vaultEnv, BEGET_VAULT_PASSPHRASE: 'short' });
+  assert(r.status === 2 && !JSON.parse(readFileSync(vaultEnv.BEGET_CONFIG, 'utf8')).vault, 'a short BEGET_VAULT_PASSPHRASE should be rejected like a prompted one');
+  r = run(['auth', 'migrate', '--json'], vaultEnv);
+  assert(r.status === 0, 'auth migrate should succeed');
+  const vaultCfg = JSON.parse(readFileSync(vaultEnv.BEGET_CONFIG, 'utf8'));
+  assert(vaultCfg.version === 2 && vaultCfg.vault && !JSON.stringify(vaultCfg.profiles).includes('secret'), 'migrated config should be v2 without plaintext apiKey');
+
+  r = run(['sites', 'add', '--name', 'mysite', '--dry-run', '--json'], vaultEnv);
+  assert(r.status === 0, 'encrypted profile should resolve with BEGET_VAULT_PASSPHRASE');
+
+  r = run(['sites', 'add', '--name', 'mysite', '--dry-run', '--json'], { ...vaultEnv, BEGET_VAULT_PASSPHRASE: 'wrong passphrase' });
+  assert(r.status === 3, 'wrong vault passphrase should exit 3');
+
+  r = run(['auth', 'unlock', '--ttl', '1m'], vaultEnv);
+  assert(r.status === 0, 'auth unlock should succeed');
+  r = run(['sites', 'add', '--name', 'mysite', '--dry-run', '--json'], { ...vaultEnv, BEGET_VAULT_PASSPHRASE: '' });
+  assert(r.status === 0, 'unlocked session should resolve credentials without passphrase');
+  const sessionDir = path.join(vaultEnv.XDG_RUNTIME_DIR, 'beget-cli');
+  const sessionFile = path.join(sessionDir, readdirSync(sessionDir)[0]);
+  assert((statSync(sessionDir).mode & 0o777) === 0o700 && (statSync(sessionFile).mode & 0o777) === 0o600, 'vault session directory and file should be private');
+  chmodSync(sessionFile, 0o644);
+  r = run(['sites', 'add', '--name', 'mysite', '--dry-run', '--json'], { ...vaultEnv, BEGET_VAULT_PASSPHRASE: '' });
+  assert(r.status === 3, 'a world-readable session file should not be trusted');
+  const decoy = path.join(tempRoot, 'decoy');
+  writeFileSync(decoy, '');
+  rmSync(sessionFile);
+  symlinkSync(decoy, sessionFile);
+  r = run(['auth', 'unlock', '--ttl', '1m'], vaultEnv);
+  assert(r.status === 0 && readFileSync(decoy, 'utf8') === '' && !lstatSync(sessionFile).isSymbolicLink(), 'auth unlock should replace a planted symlink instead of writing through it');
+  const plantedRun = path.join(tempRoot, 'planted-run');
+  mkdirSync(plantedRun);
+  symlinkSync(tempRoot, path.join(plantedRun, 'beget-cli'));
+  r = run(['auth', 'unlock', '--ttl', '1m'], { ...vaultEnv, XDG_RUNTIME_DIR: plantedRun });
+  assert(r.status !== 0 && r.stderr.includes('Refusing to use vault session directory'), 'auth unlock should refuse a symlinked session directory');
+  r = run(['auth', 'lock'], vaultEnv);
+  r = run(['sites', 'add', '--name', 'mysite', '--dry-run', '--json'], { ...vaultEnv, BEGET_VAULT_PASSPHRASE: '' });
+  assert(r.status === 3, 'locked vault without passphrase should exit 3');
+
+  const provision = ['--replay', path.join(cassettes, 'provision'), 'sites', 'provision', '--name', 'newsite', '--domain', 'new.ru', '--php', '8.2'];
+  const plainEnv = { BEGET_LOGIN: 'u', BEGET_API_PASSWORD: 'p', BEGET_MYSQL_PASSWORD: 'db-secret' };
+  r = run([...provision, '--db', 'app', '--dry-run', '--json'], plainEnv);
+  const provisionPlan = JSON.parse(r.stdout || '{}');
+  assert(r.status === 0 && provisionPlan.actions?.map((a) => a.method).join(',') === 'add,addVirtual,linkDomain,changePhpVersion,addDb,addAccess' && provisionPlan.actions[2].inputData.site_id === '<site:newsite>', 'provision --dry-run should print the full ordered plan');
+  r = run([...provision, '--json'], plainEnv);
+  assert(r.status === 0 && JSON.parse(r.stdout).site?.id === 31 && JSON.parse(r.stdout).domain?.id === 41, 'provision should pass created ids between steps');
+  r = run([...provision, '--db', 'app'], plainEnv);
+  assert(r.status === 4 && /rolled back: site-link[^]*rolled back: domain new\.ru[^]*rolled back: site newsite/.test(r.stderr), 'failed provision should roll back completed steps in reverse order');
+
+  const directivesJson = JSON.stringify([{ name: 'php_value', value: 'memory_limit 256M' }, { name: 'php_flag', value: 'display_errors off' }]);
+  r = run(['--replay', path.join(cassettes, 'provision'), 'sites', 'provision', '--name', 'newsite', '--domain', 'example.com', '--directives-json', directivesJson, '--db', 'app'], plainEnv);
+  assert(r.status === 4 && r.stderr.includes('rolled back: directives example.com\tdomain/removeDirectives'), 'provision on an existing domain should roll back only the directives it added');
+  assert(r.stderr.includes('rolled back: site-link newsite <- example.com\tsite/linkDomain'), 'provision on an existing domain should link it back to its previous site');
+  r = run([...provision, '--db', 'flaky'], plainEnv);
+  assert(r.status === 6 && r.stderr.includes('may have been applied: mysql-db flaky; check manually'), 'a step with an unknown outcome should be reported for manual cleanup');
+
+  const fanOutEnv = { BEGET_CONFIG: path.join(tempRoot, 'fan-out.json') };
+  run(['auth', 'add', 'one', '--login', 'u1', '--no-input'], { ...fanOutEnv, BEGET_API_KEY: 'k1' });
+  run(['auth', 'add', 'two', '--login', 'u2', '--no-input'], { ...fanOutEnv, BEGET_API_KEY: 'k2' });
+  r = run([...account, '--all-profiles', '--json', 'domains', 'list'], fanOutEnv);
+  assert(r.status === 0 && JSON.parse(r.stdout).map((d) => `${d.profile}:${d.id}`).join(',') === 'one:11,one:12,two:11,two:12', '--all-profiles should merge rows tagged by profile');
+  r = run(['--profiles', 'one,two', 'sites', 'add', '--name', 'x'], fanOutEnv);
+  assert(r.status === 2 && r.stderr.includes('--fan-out-mutations'), 'mutating commands should refuse fan-out without the explicit flag');
+  r = run([...statsReplay, '--profiles', 'one,two', '--json', 'stats', 'check', '--db-load-warn', '4'], fanOutEnv);
+  assert(r.status === 0 && JSON.parse(r.stdout).map((x) => `${x.profile}:${x.state}`).join() === 'one:WARNING,two:WARNING', 'stats check should fan out as one tagged result per profile');
+  r = run([...statsReplay, '--profiles', 'one,two', 'stats', 'watch'], fanOutEnv);
+  assert(r.status === 2 && !r.stdout && r.stderr.includes('streams its output'), 'fan-out should refuse commands that stream to stdout');
+  const fanOutCfg = JSON.parse(readFileSync(fanOutEnv.BEGET_CONFIG, 'utf8'));
+  delete fanOutCfg.profiles.two.apiKey;
+  writeFileSync(fanOutEnv.BEGET_CONFIG, JSON.stringify(fanOutCfg));
+  r = run([...account, '--profiles', 'one,two', 'domains', 'list'], fanOutEnv);
+  assert(r.status === 3 && r.stderr.includes('[two] Missing Beget credentials') && r.stdout.includes('one      12  example.org'), 'a failing profile should be reported without aborting the others');
+
+  const snapshotReplay = ['--replay', path.join(cassettes, 'snapshot')];
+  const snapDir = path.join(tempRoot, 'snap');
+  r = run([...snapshotReplay, 'snapshot', '--out', snapDir, '--json'], { BEGET_LOGIN: 'u', BEGET_API_PASSWORD: 'p' });
+  assert(r.status === 0 && JSON.parse(r.stdout).errors === 1, 'snapshot should succeed and count per-resource API errors');
+  const snapAccount = readFileSync(path.join(snapDir, 'account.json'), 'utf8');
+  assert(snapAccount.includes('plan_name') && !snapAccount.includes('load') && !snapAccount.includes('user_quota'), 'snapshot should drop volatile fields');
+  assert(JSON.parse(readFileSync(path.join(snapDir, 'forwards.json'), 'utf8'))['info@example.com'].join(' ') === 'a@example.org b@example.org', 'snapshot lists should be sorted');
+  writeFileSync(path.join(snapDir, 'ftp.json'), '{}\n');
+  const snapPhp = JSON.parse(readFileSync(path.join(snapDir, 'php.json'), 'utf8'));
+  snapPhp['example.com'].php_version = '7.4';
+  writeFileSync(path.join(snapDir, 'php.json'), JSON.stringify(snapPhp));
+  r = run([...snapshotReplay, 'diff', snapDir, '--json'], { BEGET_LOGIN: 'u', BEGET_API_PASSWORD: 'p' });
+  const drift = JSON.parse(r.stdout || '{}');
+  assert(r.status === 0 && drift.summary?.add === 1 && drift.summary?.change === 1 && drift.summary?.remove === 0, 'diff against live should report added and changed resources');
+  assert(drift.changes.some((c) => c.kind === 'php' && c.field === 'php_version' && c.from === '7.4' && c.to === '8.2'), 'diff should report field-level changes');
+  r = run(['diff', snapDir, snapDir]);
+  assert(r.status === 0 && r.stdout.trim() === 'No drift.', 'identical snapshots should show no drift');
+
+  const lib = await import('../lib/index.js');
+  const client = new lib.BegetClient({ login: 'u', apiKey: 'p', retries: 0, cassette: { replayDir: path.join(cassettes, 'account') } });
+  const zones = await client.domain.getZoneList();
+  assert(zones.length === 2 && zones[1].zone === 'com', 'BegetClient should call domain/getZoneList');
+  assert(Object.keys(lib.API_METHODS).every((s) => Object.keys(lib.API_METHODS[s]).every((m) => typeof client[s][m] === 'function')), 'BegetClient should expose every API method');
+  const failing = new lib.BegetClient({ login: 'u', apiKey: 'p', retries: 0, cassette: { replayDir: path.join(cassettes, 'errors') } });
+  const ftpErr = await failing.ftp.getList().catch((err) => err);
+  assert(ftpErr instanceof lib.BegetApiError && ftpErr.apiCode === 'METHOD_FAILED' && ftpErr.code === 4, 'method errors should be BegetApiError with apiCode');
+  const authErr = await failing.user.getAccountInfo().catch((err) => err);
+  assert(authErr instanceof lib.BegetAuthError && authErr.apiCode === 'AUTH_ERROR', 'API auth errors should be BegetAuthError');
+  const lockedErr = await lib.BegetClient.fromConfig({ config: vaultEnv.BEGET_CONFIG }).catch((err) => err);
+  assert(lockedErr instanceof lib.BegetAuthError, 'fromConfig on a locked vault should throw BegetAuthError');
+  const vaultClient = await lib.BegetClient.fromConfig({ config: vaultEnv.BEGET_CONFIG, passphrase: 'correct horse' });
+  assert(vaultClient.login === 'demo' && vaultClient.profile === 'main', 'fromConfig should resolve the encrypted active profile');
+
   console.log('Self-check: OK');
   process.exit(0);
 } catch (err) {